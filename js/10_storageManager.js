@@ -0,0 +1,152 @@
+// --- Módulo de Almacenamiento (IndexedDB) ---
+// Capa de persistencia de bajo nivel. Las imágenes se guardan como Blobs y el estado
+// del proyecto (frames, clips, offsets, historial) como registros estructurados.
+
+const StorageManager = (() => {
+    const DB_NAME = 'SpriteSheetSuite';
+    const DB_VERSION = 1;
+    const SESSION_KEY = 'current';
+    const SESSION_IMAGE_KEY = 'session';
+
+    // Claves que usaba la versión basada en localStorage
+    const LEGACY_SESSION_KEY = 'spriteSheetLastSession';
+    const LEGACY_HISTORY_KEY = 'spriteSheetHistory';
+
+    let dbPromise = null;
+
+    const openDatabase = () => {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB no está disponible en este navegador.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // projects: un registro por proyecto reciente (metadatos + estado)
+                if (!db.objectStoreNames.contains('projects')) {
+                    db.createObjectStore('projects', { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+                }
+                // images: Blobs de imagen, con clave externa (sesión o proyecto)
+                if (!db.objectStoreNames.contains('images')) db.createObjectStore('images');
+                // session: estado de la última sesión de trabajo
+                if (!db.objectStoreNames.contains('session')) db.createObjectStore('session');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return dbPromise;
+    };
+
+    // Ejecuta `work` dentro de una transacción y resuelve cuando ésta se completa.
+    // `work` debe lanzar sus peticiones de forma síncrona; puede devolver una petición
+    // cuyo resultado se usará como valor de la promesa.
+    const runTransaction = async (storeNames, mode, work) => {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const request = work(tx);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('La transacción fue abortada.'));
+        });
+    };
+
+    const projectImageKey = (id) => `project_${id}`;
+
+    const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+    // Separa un estado antiguo (con imageSrc embebida) en estado estructurado + Blob
+    const splitLegacyState = async (legacyState) => {
+        const { imageSrc, ...state } = legacyState;
+        const imageBlob = imageSrc ? await dataUrlToBlob(imageSrc) : null;
+        return { state, imageBlob };
+    };
+
+    return {
+        saveSession(state, imageBlob = null) {
+            return runTransaction(['session', 'images'], 'readwrite', (tx) => {
+                tx.objectStore('session').put({ ...state, updatedAt: Date.now() }, SESSION_KEY);
+                if (imageBlob) tx.objectStore('images').put(imageBlob, SESSION_IMAGE_KEY);
+            });
+        },
+
+        async loadSession() {
+            let stateRequest, imageRequest;
+            await runTransaction(['session', 'images'], 'readonly', (tx) => {
+                stateRequest = tx.objectStore('session').get(SESSION_KEY);
+                imageRequest = tx.objectStore('images').get(SESSION_IMAGE_KEY);
+            });
+            if (!stateRequest.result) return null;
+            return { state: stateRequest.result, imageBlob: imageRequest.result || null };
+        },
+
+        saveProject(record, imageBlob) {
+            return runTransaction(['projects', 'images'], 'readwrite', (tx) => {
+                tx.objectStore('projects').put(record);
+                if (imageBlob) tx.objectStore('images').put(imageBlob, projectImageKey(record.id));
+            });
+        },
+
+        async getProject(id) {
+            let recordRequest, imageRequest;
+            await runTransaction(['projects', 'images'], 'readonly', (tx) => {
+                recordRequest = tx.objectStore('projects').get(id);
+                imageRequest = tx.objectStore('images').get(projectImageKey(id));
+            });
+            if (!recordRequest.result) return null;
+            return { record: recordRequest.result, imageBlob: imageRequest.result || null };
+        },
+
+        // Devuelve los proyectos ordenados del más reciente al más antiguo
+        async listProjects() {
+            const records = await runTransaction('projects', 'readonly', (tx) => tx.objectStore('projects').getAll());
+            return (records || []).sort((a, b) => b.updatedAt - a.updatedAt);
+        },
+
+        deleteProject(id) {
+            return runTransaction(['projects', 'images'], 'readwrite', (tx) => {
+                tx.objectStore('projects').delete(id);
+                tx.objectStore('images').delete(projectImageKey(id));
+            });
+        },
+
+        // Migra la sesión y el historial guardados en localStorage (versiones anteriores).
+        // Solo se ejecuta mientras existan las claves antiguas: tras migrar, se eliminan.
+        async migrateLegacyStorage() {
+            const legacySession = localStorage.getItem(LEGACY_SESSION_KEY);
+            const legacyHistory = localStorage.getItem(LEGACY_HISTORY_KEY);
+            if (legacySession === null && legacyHistory === null) return 0;
+
+            let migrated = 0;
+            if (legacySession) {
+                const { state, imageBlob } = await splitLegacyState(JSON.parse(legacySession));
+                // Una sesión sin imagen no se puede reabrir; no tiene sentido migrarla.
+                if (imageBlob) {
+                    await this.saveSession(state, imageBlob);
+                    migrated++;
+                }
+            }
+
+            const entries = JSON.parse(legacyHistory || '[]');
+            for (const entry of entries) {
+                const saved = localStorage.getItem(`history_${entry.id}`);
+                if (!saved) continue;
+                const { state, imageBlob } = await splitLegacyState(JSON.parse(saved));
+                await this.saveProject({ id: entry.id, name: entry.name, thumb: entry.thumb, updatedAt: entry.id, state }, imageBlob);
+                migrated++;
+            }
+
+            // Limpiar las claves antiguas una vez copiadas
+            localStorage.removeItem(LEGACY_SESSION_KEY);
+            localStorage.removeItem(LEGACY_HISTORY_KEY);
+            Object.keys(localStorage)
+                .filter(key => key.startsWith('history_'))
+                .forEach(key => localStorage.removeItem(key));
+            return migrated;
+        }
+    };
+})();
+
+export { StorageManager };
@@ -0,0 +1,123 @@
+// --- Módulo de Archivo de Proyecto (.sss) ---
+// Guarda y abre el proyecto completo como un único ZIP portable: imagen fuente original,
+// pila de ajustes, frames, clips, offsets e historial, más un manifiesto con la versión del formato.
+
+import { DOM } from './1_dom.js';
+import { AppState } from './2_appState.js';
+import { HistoryManager } from './3_historyManager.js';
+import { UIManager } from './4_uiManager.js';
+import { App } from './main.js';
+import { CURRENT_SCHEMA_VERSION } from './projectSchema.js';
+
+const ProjectFile = (() => {
+    const FORMAT_ID = 'sprite-sheet-suite-project';
+    const FORMAT_VERSION = 1;
+    const EXTENSION = '.sss';
+
+    // El JSON se guarda indentado para que los cambios sean legibles en un diff de git.
+    const toJson = (data) => JSON.stringify(data, null, 2);
+
+    const readJson = async (zip, path) => {
+        const entry = zip.file(path);
+        if (!entry) throw new Error(`El archivo de proyecto no contiene "${path}".`);
+        return JSON.parse(await entry.async('string'));
+    };
+
+    const ensureJsZip = () => {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('La librería JSZip no está cargada. Revisa el script en index.html.');
+        }
+    };
+
+    return {
+        init() {
+            DOM.saveProjectButton.addEventListener('click', () => this.save());
+            DOM.openProjectButton.addEventListener('click', () => DOM.projectFileLoader.click());
+            DOM.projectFileLoader.addEventListener('change', (e) => {
+                if (e.target.files.length) this.open(e.target.files[0]);
+                e.target.value = ''; // Permitir reabrir el mismo archivo
+            });
+        },
+
+        isProjectFile(file) {
+            return !!file && file.name.toLowerCase().endsWith(EXTENSION);
+        },
+
+        async save() {
+            if (!AppState.sourceImageBlob || DOM.imageDisplay.naturalWidth === 0) {
+                UIManager.showToast('No hay ningún proyecto abierto para guardar.', 'warning');
+                return;
+            }
+            UIManager.showLoader('Guardando proyecto...');
+            try {
+                ensureJsZip();
+                const imagePath = `image/${AppState.currentFileName}`;
+                const zip = new JSZip();
+                zip.file('manifest.json', toJson({
+                    format: FORMAT_ID,
+                    formatVersion: FORMAT_VERSION,
+                    app: 'Sprite Sheet Suite v4.4',
+                    savedAt: new Date().toISOString(),
+                    image: imagePath
+                }));
+                zip.file('project.json', toJson({
+                    schemaVersion: CURRENT_SCHEMA_VERSION,
+                    fileName: AppState.currentFileName,
+                    frames: AppState.frames,
+                    clips: AppState.clips,
+                    activeClipId: AppState.activeClipId,
+                    subFrameOffsets: AppState.subFrameOffsets,
+                    adjustments: AppState.adjustments,
+                    exportTemplates: AppState.exportTemplates,
+                    unityGuid: AppState.unityGuid
+                }));
+                zip.file('history.json', toJson(HistoryManager.getHistoryState()));
+                // Se guarda la imagen original: el resultado se recalcula al abrir a partir de los ajustes
+                zip.file(imagePath, AppState.sourceImageBlob);
+
+                const content = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(content);
+                link.download = `${AppState.currentFileName.split('.')[0]}${EXTENSION}`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+                UIManager.showToast('Proyecto guardado.', 'success');
+            } catch (error) {
+                console.error('Error guardando el proyecto:', error);
+                UIManager.showToast('Error al guardar el proyecto.', 'danger');
+            } finally {
+                UIManager.hideLoader();
+            }
+        },
+
+        async open(file) {
+            UIManager.showLoader('Abriendo proyecto...');
+            try {
+                ensureJsZip();
+                const zip = await JSZip.loadAsync(file);
+                const manifest = await readJson(zip, 'manifest.json');
+                if (manifest.format !== FORMAT_ID) {
+                    throw new Error('El archivo no es un proyecto de Sprite Sheet Suite.');
+                }
+                if (manifest.formatVersion > FORMAT_VERSION) {
+                    throw new Error(`El proyecto usa la versión ${manifest.formatVersion} del formato; esta aplicación solo admite hasta la ${FORMAT_VERSION}.`);
+                }
+
+                const project = await readJson(zip, 'project.json');
+                const history = zip.file('history.json') ? await readJson(zip, 'history.json') : {};
+                const imageEntry = zip.file(manifest.image);
+                if (!imageEntry) throw new Error(`El archivo de proyecto no contiene la imagen "${manifest.image}".`);
+                const imageBlob = await imageEntry.async('blob');
+
+                // El onload de la imagen (en main.js) se encarga de ocultar el loader.
+                App.loadProjectState({ ...project, ...history, imageBlob });
+            } catch (error) {
+                console.error('Error abriendo el proyecto:', error);
+                UIManager.showToast(error.message || 'No se pudo abrir el proyecto.', 'danger');
+                UIManager.hideLoader();
+            }
+        }
+    };
+})();
+
+export { ProjectFile };
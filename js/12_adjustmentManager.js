@@ -0,0 +1,230 @@
+// --- Módulo de Gestión de Ajustes de Imagen ---
+// Mantiene la pila de ajustes (AppState.adjustments), su panel de edición y la imagen
+// mostrada, que siempre se recalcula desde la original (AppState.sourceImageBlob).
+
+import { DOM } from './1_dom.js';
+import { AppState } from './2_appState.js';
+import { UIManager } from './4_uiManager.js';
+import { ADJUSTMENT_TYPES, createAdjustment, renderAdjustments } from './imageAdjustments.js';
+import { REPACK_MODES } from './atlasPacker.js';
+import { App } from './main.js';
+
+const AdjustmentManager = (() => {
+    let renderToken = 0; // Cada render invalida los anteriores que aún no hayan terminado
+    let displayUrl = null;
+
+    const labelOf = (step) => ADJUSTMENT_TYPES[step.type]?.label || step.type;
+    const findStep = (id) => AppState.adjustments.find(step => step.id === id);
+
+    // Disposición de frames (en coordenadas de la imagen) que un reempaquetado sustituye
+    const captureLayout = () => JSON.parse(JSON.stringify({
+        frames: AppState.frames,
+        clips: AppState.clips,
+        activeClipId: AppState.activeClipId,
+        subFrameOffsets: AppState.subFrameOffsets
+    }));
+
+    const applyLayout = (layout) => {
+        AppState.frames = layout.frames;
+        AppState.clips = layout.clips;
+        AppState.activeClipId = layout.activeClipId;
+        AppState.subFrameOffsets = layout.subFrameOffsets;
+        AppState.selectedFrameId = null;
+        AppState.selectedSubFrameId = null;
+        AppState.selectedSlice = null;
+    };
+
+    // Un reempaquetado solo puede activarse, desactivarse o quitarse si ningún reempaquetado
+    // posterior activo depende de su disposición.
+    const hasLaterActiveRepack = (step) => {
+        const index = AppState.adjustments.indexOf(step);
+        return AppState.adjustments.slice(index + 1).some(s => s.type === 'repack' && s.enabled);
+    };
+
+    // Al desactivar un reempaquetado se vuelve a la disposición anterior y se guarda la actual;
+    // al reactivarlo se hace el intercambio inverso.
+    const swapRepackLayout = (step, enabling) => {
+        const current = captureLayout();
+        if (enabling) {
+            applyLayout(step.params.layoutAfter);
+            step.params.layoutBefore = current;
+            step.params.layoutAfter = null;
+        } else {
+            applyLayout(step.params.layoutBefore);
+            step.params.layoutAfter = current;
+        }
+    };
+
+    const paramControls = (step) => {
+        const { params } = step;
+        switch (step.type) {
+            case 'removeBackground': {
+                const colors = params.colors.length === 0 ? 'Automático (borde)' : params.colors.map(([r, g, b]) =>
+                    `<span class="key-color-chip" style="background-color: rgb(${r}, ${g}, ${b});" title="rgb(${r}, ${g}, ${b})"></span>`).join('');
+                return `<label>Tolerancia <input type="number" data-param="tolerance" value="${params.tolerance}" min="0" max="255"></label>
+                    <label>Modo <select data-param="mode">
+                        <option value="global" ${params.mode !== 'contiguous' ? 'selected' : ''}>Toda la imagen</option>
+                        <option value="contiguous" ${params.mode === 'contiguous' ? 'selected' : ''}>Contiguo desde los bordes</option>
+                    </select></label>
+                    <label>Colores <span class="key-color-list">${colors}</span></label>`;
+            }
+            case 'smoothEdges':
+                return `<label>Intensidad <select data-param="intensity">${['low', 'medium', 'high'].map(value =>
+                    `<option value="${value}" ${params.intensity === value ? 'selected' : ''}>${{ low: 'Bajo', medium: 'Medio', high: 'Alto' }[value]}</option>`).join('')}</select></label>`;
+            case 'colorAdjust':
+                return [['brightness', 'Brillo', 100], ['contrast', 'Contraste', 100], ['saturation', 'Saturación', 100], ['hue', 'Tono', 180]]
+                    .map(([key, label, range]) => `<label>${label} <input type="range" data-param="${key}" min="${-range}" max="${range}" value="${params[key]}"></label>`)
+                    .join('');
+            case 'repack':
+                return `<span>${REPACK_MODES[params.mode] || REPACK_MODES.grid} · ${params.width}×${params.height}px · ${params.placements.length} frames</span>`;
+            default:
+                return '';
+        }
+    };
+
+    return {
+        init() {
+            DOM.addAdjustmentButton.addEventListener('click', () => {
+                if (!AppState.sourceImageBlob) { UIManager.showToast('No hay imagen cargada para procesar.', 'warning'); return; }
+                const type = DOM.adjustmentTypeSelect.value;
+                this.add([createAdjustment(type)], `Añadir "${ADJUSTMENT_TYPES[type].label}"`);
+            });
+            DOM.adjustmentsList.addEventListener('change', (e) => {
+                const li = e.target.closest('li[data-adjustment-id]');
+                if (!li) return;
+                const id = Number(li.dataset.adjustmentId);
+                if (e.target.classList.contains('adjustment-toggle')) this.toggle(id, e.target.checked);
+                else if (e.target.dataset.param) {
+                    const value = e.target.tagName === 'SELECT' ? e.target.value : parseFloat(e.target.value) || 0;
+                    this.updateParam(id, e.target.dataset.param, value);
+                }
+            });
+            DOM.adjustmentsList.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                const li = e.target.closest('li[data-adjustment-id]');
+                if (!button || !li) return;
+                const id = Number(li.dataset.adjustmentId);
+                if (button.dataset.action === 'remove') this.remove(id);
+                else this.move(id, button.dataset.action === 'up' ? -1 : 1);
+            });
+        },
+
+        renderPanel() {
+            DOM.adjustmentsList.innerHTML = '';
+            if (AppState.adjustments.length === 0) {
+                DOM.adjustmentsList.innerHTML = `<li class="no-projects" style="cursor: default; justify-content: center;">Sin ajustes: se muestra la imagen original.</li>`;
+                return;
+            }
+            AppState.adjustments.forEach((step, index) => {
+                const li = document.createElement('li');
+                li.dataset.adjustmentId = step.id;
+                li.classList.toggle('is-disabled', !step.enabled);
+                li.innerHTML = `
+                    <div class="adjustment-header">
+                        <input type="checkbox" class="adjustment-toggle" ${step.enabled ? 'checked' : ''} title="Activar/Desactivar">
+                        <span class="adjustment-name">${index + 1}. ${labelOf(step)}</span>
+                        <button data-action="up" title="Subir" ${index === 0 ? 'disabled' : ''}>▲</button>
+                        <button data-action="down" title="Bajar" ${index === AppState.adjustments.length - 1 ? 'disabled' : ''}>▼</button>
+                        <button data-action="remove" title="Eliminar">✖</button>
+                    </div>
+                    <div class="adjustment-params">${paramControls(step)}</div>`;
+                DOM.adjustmentsList.appendChild(li);
+            });
+        },
+
+        // Añade uno o varios pasos al final de la pila. Devuelve la imagen resultante.
+        add(steps, historyLabel, message) {
+            AppState.adjustments.push(...steps);
+            App.updateAll(true, historyLabel);
+            return this.refreshImage(message);
+        },
+
+        toggle(id, enabled) {
+            const step = findStep(id);
+            if (!step || step.enabled === enabled) return;
+            if (step.type === 'repack') {
+                if (hasLaterActiveRepack(step)) {
+                    UIManager.showToast('Desactiva primero los reempaquetados posteriores.', 'warning');
+                    this.renderPanel();
+                    return;
+                }
+                swapRepackLayout(step, enabled);
+            }
+            step.enabled = enabled;
+            App.updateAll(true, `${enabled ? 'Activar' : 'Desactivar'} "${labelOf(step)}"`);
+            this.refreshImage();
+        },
+
+        move(id, direction) {
+            const index = AppState.adjustments.findIndex(step => step.id === id);
+            const target = index + direction;
+            if (index < 0 || target < 0 || target >= AppState.adjustments.length) return;
+            const step = AppState.adjustments[index];
+            // Dos reempaquetados no pueden cambiar de orden: cada uno parte de la disposición del anterior
+            if (step.type === 'repack' && AppState.adjustments[target].type === 'repack') {
+                UIManager.showToast('Los reempaquetados no se pueden reordenar entre sí.', 'warning');
+                return;
+            }
+            AppState.adjustments.splice(index, 1);
+            AppState.adjustments.splice(target, 0, step);
+            App.updateAll(true, `Mover "${labelOf(step)}"`);
+            this.refreshImage();
+        },
+
+        remove(id) {
+            const step = findStep(id);
+            if (!step) return;
+            if (step.type === 'repack' && step.enabled) {
+                if (hasLaterActiveRepack(step)) {
+                    UIManager.showToast('Elimina o desactiva primero los reempaquetados posteriores.', 'warning');
+                    return;
+                }
+                if (!confirm('Al quitar el reempaquetado se restaurará la disposición de frames anterior a él. ¿Continuar?')) return;
+                swapRepackLayout(step, false);
+            }
+            AppState.adjustments = AppState.adjustments.filter(s => s !== step);
+            App.updateAll(true, `Eliminar "${labelOf(step)}"`);
+            this.refreshImage();
+        },
+
+        updateParam(id, key, value) {
+            const step = findStep(id);
+            if (!step || step.params[key] === value) return;
+            step.params[key] = value;
+            App.updateAll(true, `Ajustar "${labelOf(step)}"`);
+            this.refreshImage();
+        },
+
+        // Recalcula la imagen mostrada a partir de la original. El onload de la imagen (main.js)
+        // termina la actualización y muestra `message` si se indica.
+        async refreshImage(message = null) {
+            if (!AppState.sourceImageBlob) return null;
+            const token = ++renderToken;
+            UIManager.showLoader('Aplicando ajustes...');
+            try {
+                const blob = await renderAdjustments(AppState.sourceImageBlob, AppState.adjustments);
+                if (token !== renderToken) return null; // Un render posterior ya está en marcha
+                App.isApplyingAdjustments = true;
+                App.modificationMessage = message;
+                this.showImage(blob);
+                return blob;
+            } catch (error) {
+                console.error('Error aplicando los ajustes de imagen:', error);
+                UIManager.showToast('Ocurrió un error al aplicar los ajustes de imagen.', 'danger');
+                UIManager.hideLoader();
+                return null;
+            }
+        },
+
+        // Muestra una imagen liberando la URL de la anterior
+        showImage(blob) {
+            if (displayUrl) URL.revokeObjectURL(displayUrl);
+            displayUrl = URL.createObjectURL(blob);
+            DOM.imageDisplay.src = displayUrl;
+        },
+
+        captureLayout
+    };
+})();
+
+export { AdjustmentManager };
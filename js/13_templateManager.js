@@ -0,0 +1,107 @@
+// --- Módulo de Gestión de Plantillas de Exportación ---
+// Plantillas de texto del usuario (AppState.exportTemplates) que aparecen como formatos más
+// en el selector de "Datos a JSON". Se guardan con el proyecto, pero no forman parte del
+// historial de deshacer: editar una plantilla no cambia el trabajo sobre la hoja.
+
+import { DOM } from './1_dom.js';
+import { AppState } from './2_appState.js';
+import { UIManager } from './4_uiManager.js';
+import { SessionManager } from './9_sessionManager.js';
+import { SAMPLE_TEMPLATE } from './exportTemplates.js';
+
+const TemplateManager = (() => {
+    const selectedTemplate = () => UIManager.getExportTemplate(DOM.jsonFormatSelect.value);
+    const save = () => SessionManager.saveCurrent(false);
+
+    return {
+        init() {
+            DOM.jsonFormatSelect.addEventListener('change', () => {
+                this.renderEditor();
+                UIManager.updateJsonOutput();
+            });
+            DOM.newTemplateButton.addEventListener('click', () => this.create());
+            DOM.deleteTemplateButton.addEventListener('click', () => this.remove());
+            DOM.templateNameInput.addEventListener('change', (e) => {
+                const template = selectedTemplate();
+                if (!template || !e.target.value.trim()) return;
+                template.name = e.target.value.trim();
+                this.renderOptions();
+                save();
+            });
+            DOM.templateExtensionInput.addEventListener('change', (e) => {
+                const template = selectedTemplate();
+                const extension = e.target.value.trim().replace(/^\./, '');
+                if (!template || !/^[\w.-]+$/.test(extension)) {
+                    this.renderEditor();
+                    return;
+                }
+                template.extension = extension;
+                UIManager.updateJsonOutput();
+                save();
+            });
+            // La vista previa se actualiza al escribir; se guarda al salir del editor
+            DOM.templateBodyInput.addEventListener('input', (e) => {
+                const template = selectedTemplate();
+                if (!template) return;
+                template.body = e.target.value;
+                UIManager.updateJsonOutput();
+            });
+            DOM.templateBodyInput.addEventListener('change', save);
+        },
+
+        // Rellena el grupo de plantillas del selector conservando la opción elegida si sigue existiendo
+        renderOptions() {
+            const current = DOM.jsonFormatSelect.value;
+            DOM.jsonTemplateGroup.innerHTML = '';
+            AppState.exportTemplates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = `template:${template.id}`;
+                option.textContent = template.name;
+                DOM.jsonTemplateGroup.appendChild(option);
+            });
+            DOM.jsonTemplateGroup.hidden = AppState.exportTemplates.length === 0;
+            DOM.jsonFormatSelect.value = current;
+            if (DOM.jsonFormatSelect.value !== current) DOM.jsonFormatSelect.value = 'default';
+            this.renderEditor();
+        },
+
+        renderEditor() {
+            const template = selectedTemplate();
+            DOM.templateEditor.classList.toggle('hidden', !template);
+            if (!template) return;
+            // No pisar lo que el usuario está escribiendo
+            if (document.activeElement !== DOM.templateNameInput) DOM.templateNameInput.value = template.name;
+            if (document.activeElement !== DOM.templateExtensionInput) DOM.templateExtensionInput.value = template.extension;
+            if (document.activeElement !== DOM.templateBodyInput) DOM.templateBodyInput.value = template.body;
+        },
+
+        create() {
+            const name = prompt('Nombre de la plantilla:', `Plantilla ${AppState.exportTemplates.length + 1}`);
+            if (name === null || !name.trim()) return;
+            const template = { id: `t${Date.now().toString(36)}`, name: name.trim(), extension: 'json', body: SAMPLE_TEMPLATE };
+            AppState.exportTemplates.push(template);
+            this.renderOptions();
+            DOM.jsonFormatSelect.value = `template:${template.id}`;
+            this.renderEditor();
+            UIManager.updateJsonOutput();
+            save();
+            UIManager.showToast(`Plantilla "${template.name}" creada.`, 'success');
+        },
+
+        remove() {
+            const template = selectedTemplate();
+            if (!template) {
+                UIManager.showToast('Selecciona en el formato la plantilla que quieres eliminar.', 'warning');
+                return;
+            }
+            if (!confirm(`¿Eliminar la plantilla "${template.name}"?`)) return;
+            AppState.exportTemplates = AppState.exportTemplates.filter(t => t !== template);
+            DOM.jsonFormatSelect.value = 'default';
+            this.renderOptions();
+            UIManager.updateJsonOutput();
+            save();
+        }
+    };
+})();
+
+export { TemplateManager };
@@ -24,23 +24,53 @@ export const DOM = {
     playPauseButton: document.getElementById('play-pause-button'),
     firstFrameButton: document.getElementById('first-frame-button'),
     lastFrameButton: document.getElementById('last-frame-button'),
+    prevFrameButton: document.getElementById('prev-frame-button'),
+    nextFrameButton: document.getElementById('next-frame-button'),
+    previewScrubberRange: document.getElementById('preview-scrubber-range'),
+    previewScrubber: document.getElementById('preview-scrubber'),
     fpsSlider: document.getElementById('fps-slider'),
     fpsValue: document.getElementById('fps-value'),
+    onionSkinCheckbox: document.getElementById('onion-skin-checkbox'),
+    onionSkinBeforeInput: document.getElementById('onion-skin-before'),
+    onionSkinAfterInput: document.getElementById('onion-skin-after'),
+    onionSkinOpacityInput: document.getElementById('onion-skin-opacity'),
+    onionSkinOpacityValue: document.getElementById('onion-skin-opacity-value'),
     undoButton: document.getElementById('undo-button'),
     redoButton: document.getElementById('redo-button'),
     clipsSelect: document.getElementById('clips-select'),
     newClipButton: document.getElementById('new-clip-button'),
     renameClipButton: document.getElementById('rename-clip-button'),
     deleteClipButton: document.getElementById('delete-clip-button'),
+    clipDirectionSelect: document.getElementById('clip-direction-select'),
+    clipOnceCheckbox: document.getElementById('clip-once-checkbox'),
+    clipLoopStartSelect: document.getElementById('clip-loop-start-select'),
     selectAllFramesButton: document.getElementById('select-all-frames'),
     deselectAllFramesButton: document.getElementById('deselect-all-frames'),
     changeImageButton: document.getElementById('change-image-button'),
+    saveProjectButton: document.getElementById('save-project-button'),
+    openProjectButton: document.getElementById('open-project-button'),
+    projectFileLoader: document.getElementById('project-file-loader'),
+    importAtlasButton: document.getElementById('import-atlas-button'),
+    atlasFileLoader: document.getElementById('atlas-file-loader'),
     toast: document.getElementById('toast'),
     projectHistoryList: document.getElementById('project-history-list'),
+    undoHistoryList: document.getElementById('undo-history-list'),
+    undoHistoryUsage: document.getElementById('undo-history-usage'),
+    adjustmentsList: document.getElementById('adjustments-list'),
+    adjustmentTypeSelect: document.getElementById('adjustment-type-select'),
+    addAdjustmentButton: document.getElementById('add-adjustment-button'),
     lockFramesButton: document.getElementById('lock-frames-button'),
     fullscreenButton: document.getElementById('fullscreen-button'),
     exportZipButton: document.getElementById('export-zip-button'),
     exportGifButton: document.getElementById('export-gif-button'),
+    animFormatSelect: document.getElementById('anim-format-select'),
+    animWebpQualityInput: document.getElementById('anim-webp-quality'),
+    exportVideoButton: document.getElementById('export-video-button'),
+    videoScopeSelect: document.getElementById('video-scope-select'),
+    videoScaleInput: document.getElementById('video-scale-input'),
+    videoLoopsInput: document.getElementById('video-loops-input'),
+    videoBackgroundSelect: document.getElementById('video-background-select'),
+    videoBgColor: document.getElementById('video-bg-color'),
     gifWidthInput: document.getElementById('gif-width'),
     gifHeightInput: document.getElementById('gif-height'),
     gifAspectRatioLock: document.getElementById('gif-aspect-ratio-lock'),
@@ -48,6 +78,21 @@ export const DOM = {
     gifBgColor: document.getElementById('gif-bg-color'),
     gifBgColorGroup: document.getElementById('gif-bg-color-group'),
     exportCodeButton: document.getElementById('export-code-button'),
+    exportBatchButton: document.getElementById('export-batch-button'),
+    batchScopeSelect: document.getElementById('batch-scope-select'),
+    batchNamingInput: document.getElementById('batch-naming-input'),
+    batchFormatPngCheckbox: document.getElementById('batch-format-png'),
+    batchFormatWebpCheckbox: document.getElementById('batch-format-webp'),
+    batchFormatJpegCheckbox: document.getElementById('batch-format-jpeg'),
+    batchWebpQualityInput: document.getElementById('batch-webp-quality'),
+    batchJpegQualityInput: document.getElementById('batch-jpeg-quality'),
+    batchExportProgress: document.getElementById('batch-export-progress'),
+    exportPackedAtlasButton: document.getElementById('export-packed-atlas-button'),
+    packPaddingInput: document.getElementById('pack-padding-input'),
+    packExtrudeInput: document.getElementById('pack-extrude-input'),
+    packMaxSizeSelect: document.getElementById('pack-max-size-select'),
+    packTrimCheckbox: document.getElementById('pack-trim-checkbox'),
+    packPowerOfTwoCheckbox: document.getElementById('pack-pot-checkbox'),
     codeExportDetails: document.getElementById('code-export-details'),
     codePreviewContainer: document.getElementById('code-preview-container'),
     htmlCodeOutput: document.getElementById('html-code-output'),
@@ -58,6 +103,15 @@ export const DOM = {
     jsonOutput: document.getElementById('json-output'),
     jsonFormatSelect: document.getElementById('json-format-select'),
     jsonLineNumbers: document.getElementById('json-line-numbers'),
+    jsonTemplateGroup: document.getElementById('json-template-group'),
+    newTemplateButton: document.getElementById('new-template-button'),
+    deleteTemplateButton: document.getElementById('delete-template-button'),
+    templateEditor: document.getElementById('template-editor'),
+    templateNameInput: document.getElementById('template-name-input'),
+    templateExtensionInput: document.getElementById('template-extension-input'),
+    templateBodyInput: document.getElementById('template-body-input'),
+    unityGuidOptions: document.getElementById('unity-guid-options'),
+    unityGuidInput: document.getElementById('unity-guid-input'),
     autoDetectButton: document.getElementById('auto-detect-button'),
     autoDetectToleranceInput: document.getElementById('auto-detect-tolerance'),
     exportScaleInput: document.getElementById('export-scale-input'),
@@ -71,7 +125,19 @@ export const DOM = {
     removeBgPopup: document.getElementById('remove-bg-popup'),
     removeBgToleranceInput: document.getElementById('remove-bg-tolerance'),
     removeBgSmoothIntensitySelect: document.getElementById('remove-bg-smooth-intensity'),
+    removeBgModeSelect: document.getElementById('remove-bg-mode'),
+    removeBgColorsList: document.getElementById('remove-bg-colors'),
+    removeBgEyedropperButton: document.getElementById('remove-bg-eyedropper-button'),
+    removeBgPreviewBefore: document.getElementById('remove-bg-preview-before'),
+    removeBgPreviewAfter: document.getElementById('remove-bg-preview-after'),
     applyRemoveBgButton: document.getElementById('apply-remove-bg-button'),
+    // Popup de reempaquetado de la hoja
+    repackPopup: document.getElementById('repack-popup'),
+    repackModeSelect: document.getElementById('repack-mode'),
+    repackMarginInput: document.getElementById('repack-margin'),
+    repackPreviewCanvas: document.getElementById('repack-preview'),
+    repackPreviewInfo: document.getElementById('repack-preview-info'),
+    applyRepackButton: document.getElementById('apply-repack-button'),
     frameInspectorToolButton: document.getElementById('frame-inspector-tool-button'),
     editorArea: document.getElementById('editor-area'),
     imageContainer: document.getElementById('image-container'),
@@ -109,6 +175,7 @@ export const DOM = {
     offsetEditorCanvasHeightInput: document.getElementById('offset-editor-canvas-height'),
     offsetEditorXInput: document.getElementById('offset-editor-x'),
     offsetEditorYInput: document.getElementById('offset-editor-y'),
+    offsetEditorOnionCheckbox: document.getElementById('offset-editor-onion-checkbox'),
     saveOffsetEditorBtn: document.getElementById('save-offset-editor-btn'),
     cancelOffsetEditorBtn: document.getElementById('cancel-offset-editor-btn'),
     closeOffsetEditorModalBtn: document.getElementById('close-offset-editor-modal'),
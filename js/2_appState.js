@@ -1,6 +1,12 @@
 // --- Módulo de Estado de la Aplicación ---
 // Contiene todos los datos centrales. Es la "única fuente de verdad".
 
+import { getIdentifiedCells, commitCellIdentities } from './frameCells.js';
+import { resolveFrameDuration } from './frameDurations.js';
+
+// Listas paralelas a clip.frameIds con datos propios de cada entrada del clip
+const CLIP_ENTRY_LISTS = ['frameDurations', 'frameEvents'];
+
 export const AppState = {
     frames: [],
     clips: [],
@@ -10,11 +16,17 @@ export const AppState = {
     subFrameOffsets: {},
     selectedSlice: null, // --- AÑADIDO --- Para recordar la línea (slice) seleccionada.
     currentFileName: "spritesheet.png",
+    sourceImageBlob: null, // Imagen original, nunca se modifica
+    adjustments: [], // Pila de ajustes no destructivos que se aplican sobre la original
+    exportTemplates: [], // Plantillas de exportación del usuario: { id, name, extension, body }
+    unityGuid: null, // guid de la imagen en el .meta de Unity; se crea al exportar si no se pegó uno
     isLocked: false,
     activeTool: 'select',
     zoomLevel: 1.0,
     isSnapToGridEnabled: false,
     gridSize: 16,
+    // Papel cebolla en la previsualización y el editor de offset: vecinos a cada lado y opacidad
+    onionSkin: { enabled: false, before: 1, after: 1, opacity: 0.4 },
     animation: {
         isPlaying: false,
         fps: 12,
@@ -29,6 +41,87 @@ export const AppState = {
         return this.clips.find(c => c.id === this.activeClipId);
     },
 
+    // Cambia los frames de un clip. Si el clip tiene duraciones (clip.frameDurations) o eventos
+    // (clip.frameEvents) por entrada, cada entrada que sigue en el clip conserva los suyos.
+    setClipFrames(clip, frameIds) {
+        CLIP_ENTRY_LISTS.forEach(key => {
+            if (!Array.isArray(clip[key])) return;
+            const available = new Map();
+            clip.frameIds.forEach((id, i) => {
+                if (!available.has(id)) available.set(id, []);
+                available.get(id).push(clip[key][i]);
+            });
+            clip[key] = frameIds.map(id => available.get(id)?.shift() ?? null);
+        });
+        clip.frameIds = frameIds;
+    },
+
+    // Mueve una entrada del clip de la posición `from` a `to`. Su duración y sus eventos la acompañan
+    // y el inicio de bucle (clip.loopStart) sigue apuntando a la misma entrada.
+    moveClipEntry(clip, from, to) {
+        const move = (list) => { const [item] = list.splice(from, 1); list.splice(to, 0, item); };
+        const order = clip.frameIds.map((id, i) => i);
+        move(order);
+        move(clip.frameIds);
+        CLIP_ENTRY_LISTS.forEach(key => { if (Array.isArray(clip[key])) move(clip[key]); });
+        if (clip.loopStart > 0) {
+            clip.loopStart = order.indexOf(clip.loopStart);
+            if (clip.loopStart === 0) delete clip.loopStart;
+        }
+    },
+
+    // Duración en ms de la entrada `index` de un clip: la suya propia o la que marcan los fps
+    getFrameDuration(clip, index) {
+        return resolveFrameDuration(clip.frameDurations?.[index] ?? null, this.animation.fps);
+    },
+
+    // Cambia la duración de una entrada del clip (ms o { hold: n }, ver frameDurations.js); null vuelve a la de los fps
+    setFrameDuration(clip, index, duration) {
+        if (!Array.isArray(clip.frameDurations)) clip.frameDurations = clip.frameIds.map(() => null);
+        clip.frameDurations[index] = duration;
+        if (clip.frameDurations.every(d => d === null)) delete clip.frameDurations;
+    },
+
+    // Eventos de la entrada `index` de un clip (lista vacía si no tiene)
+    getFrameEvents(clip, index) {
+        return clip.frameEvents?.[index] || [];
+    },
+
+    // Cambia los eventos de una entrada del clip; una lista vacía o null los quita
+    setFrameEvents(clip, index, events) {
+        if (!Array.isArray(clip.frameEvents)) clip.frameEvents = clip.frameIds.map(() => null);
+        clip.frameEvents[index] = events && events.length > 0 ? events : null;
+        if (clip.frameEvents.every(e => e === null)) delete clip.frameEvents;
+    },
+
+    // Orden en que suena un clip según su sentido (clip.direction), su inicio de bucle
+    // (clip.loopStart, posición en frameIds) y si se reproduce una sola vez (clip.once).
+    // Las entradas antes de loopFrom son la intro, que solo suena la primera vez.
+    getClipPlayback(clip = this.getActiveClip()) {
+        const timeline = this.getClipTimeline(clip);
+        if (!clip) return { sequence: [], loopFrom: 0, once: false };
+        const loopStart = clip.loopStart > 0 && clip.loopStart < clip.frameIds.length ? clip.loopStart : 0;
+        const intro = timeline.filter(entry => entry.index < loopStart);
+        let body = timeline.filter(entry => entry.index >= loopStart);
+        if (clip.direction === 'reverse') {
+            body.reverse();
+        } else if (clip.direction === 'pingpong' && body.length > 1) {
+            // A la vuelta no se repite el extremo final; si el clip se repite, tampoco el
+            // primero, que ya abre la vuelta siguiente
+            body = body.concat(body.slice(clip.once ? 0 : 1, -1).reverse());
+        }
+        return { sequence: intro.concat(body), loopFrom: intro.length, once: !!clip.once };
+    },
+
+    // Frames de un clip (por defecto el activo) con su duración, sus eventos y su posición en frameIds
+    getClipTimeline(clip = this.getActiveClip()) {
+        if (!clip) return [];
+        const byId = new Map(this.getFlattenedFrames().map(f => [f.id, f]));
+        return clip.frameIds
+            .map((id, index) => byId.has(id) ? { frame: byId.get(id), duration: this.getFrameDuration(clip, index), events: this.getFrameEvents(clip, index), index } : null)
+            .filter(Boolean);
+    },
+
     getAnimationFrames() {
         const clip = this.getActiveClip();
         if (!clip) return [];
@@ -40,41 +133,20 @@ export const AppState = {
         const flattened = [];
         this.frames.forEach(frame => {
             if (frame.type === 'group') {
-                const yCoords = [0, ...frame.hSlices.sort((a, b) => a - b), frame.rect.h];
-                for (let i = 0; i < yCoords.length - 1; i++) {
-                    const rowY = yCoords[i];
-                    const rowH = yCoords[i + 1] - yCoords[i];
-                    const xCoordsForRow = [0];
-
-                    frame.vSlices.sort((a, b) => (a.rowOverrides[i] ?? a.globalX) - (b.rowOverrides[i] ?? b.globalX)).forEach(slice => {
-                        const xPos = slice.rowOverrides[i] !== undefined ? slice.rowOverrides[i] : slice.globalX;
-                        if (xPos !== null) {
-                            xCoordsForRow.push(xPos);
-                        }
+                getIdentifiedCells(frame).forEach(cell => {
+                    flattened.push({
+                        id: cell.id,
+                        // Sufijo del id persistente ("_c3"), no la posición: no cambia al editar divisiones
+                        name: `${frame.name}${cell.id.slice(String(frame.id).length)}`,
+                        rect: {
+                            x: Math.round(frame.rect.x + cell.x),
+                            y: Math.round(frame.rect.y + cell.y),
+                            w: Math.round(cell.w),
+                            h: Math.round(cell.h)
+                        },
+                        offset: this.subFrameOffsets[cell.id] || { x: 0, y: 0 }
                     });
-
-                    xCoordsForRow.push(frame.rect.w);
-                    const uniqueSortedX = [...new Set(xCoordsForRow)].sort((a, b) => a - b);
-
-                    for (let j = 0; j < uniqueSortedX.length - 1; j++) {
-                        const cellX = uniqueSortedX[j];
-                        const cellW = uniqueSortedX[j + 1] - cellX;
-                        if (cellW <= 0) continue;
-
-                        const subFrameId = `${frame.id}_${i}_${j}`;
-                        flattened.push({
-                            id: subFrameId,
-                            name: `${frame.name}_${i}_${j}`,
-                            rect: {
-                                x: Math.round(frame.rect.x + cellX),
-                                y: Math.round(frame.rect.y + rowY),
-                                w: Math.round(cellW),
-                                h: Math.round(rowH)
-                            },
-                            offset: this.subFrameOffsets[subFrameId] || { x: 0, y: 0 }
-                        });
-                    }
-                }
+                });
             } else {
                 const subFrameId = `${frame.id}`;
                 flattened.push({
@@ -89,6 +161,16 @@ export const AppState = {
         return flattened;
     },
 
+    // Fija las identidades de las celdas de todos los grupos tras editar sus divisiones.
+    // Devuelve los ids de sub-frame que han dejado de existir.
+    syncCellIdentities() {
+        const lostIds = [];
+        this.frames.forEach(frame => {
+            if (frame.type === 'group') lostIds.push(...commitCellIdentities(frame));
+        });
+        return lostIds;
+    },
+
     getAnimationAspectRatio() {
         const animFrames = this.getAnimationFrames();
         if (animFrames.length === 0) return 1;
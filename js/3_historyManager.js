@@ -1,123 +1,247 @@
 // --- Módulo de Historial (Undo/Redo) ---
-// Encapsula toda la lógica para manejar las pilas de historial.
+// Historial basado en comandos: cada operación guarda solo lo que cambió (valor anterior y
+// nuevo de cada frame, clip, offset o ajuste de imagen afectado), así que se deshace aplicando su inverso.
+// La imagen original nunca cambia: basta con registrar la pila de ajustes para recalcularla.
 
 import { AppState } from './2_appState.js';
 import { SessionManager } from './9_sessionManager.js';
 import { DOM } from './1_dom.js';
 import { App } from './main.js';
+import { prepareProjectState } from './projectSchema.js';
+import { AdjustmentManager } from './12_adjustmentManager.js';
 
-// Variables privadas del módulo usando un IIFE (Immediately Invoked Function Expression)
 const HistoryManager = (() => {
-    let historyStack = [],
-        historyIndex = -1;
-    let localHistoryStack = [],
-        localHistoryIndex = -1,
-        localHistoryFrameId = null;
+    // El historial se limita por memoria: al superarla se descartan los comandos más antiguos.
+    const MAX_HISTORY_BYTES = 64 * 1024 * 1024;
+    const LEGACY_LABEL = 'Cambio (historial anterior)';
+
+    // Partes del estado que registra el historial. 'list' se compara elemento a elemento por
+    // su clave, 'map' por cada clave del objeto y 'value' como un único valor.
+    const DOMAINS = {
+        frames: { kind: 'list', key: f => f.id, read: s => s.frames, write: v => { AppState.frames = v; } },
+        clips: { kind: 'list', key: c => c.id, read: s => s.clips, write: v => { AppState.clips = v; } },
+        subFrameOffsets: { kind: 'map', read: s => s.subFrameOffsets, write: v => { AppState.subFrameOffsets = v; } },
+        adjustments: { kind: 'list', key: a => a.id, read: s => s.adjustments, write: v => { AppState.adjustments = v; } },
+        activeClipId: { kind: 'value', read: s => s.activeClipId, write: v => { AppState.activeClipId = v; } },
+        fileName: { kind: 'value', read: s => s.fileName, write: v => { AppState.currentFileName = v; } }
+    };
+
+    let commands = [];
+    let position = 0; // Número de comandos aplicados; 0 es el estado más antiguo conservado
+    let baseline = null; // Estado serializado tras el último comando registrado o aplicado
+
+    const currentSource = () => ({
+        frames: AppState.frames,
+        clips: AppState.clips,
+        subFrameOffsets: AppState.subFrameOffsets,
+        adjustments: AppState.adjustments,
+        activeClipId: AppState.activeClipId,
+        fileName: AppState.currentFileName
+    });
+
+    // Serializa cada elemento por separado para poder compararlos como cadenas
+    const snapshotDomain = (domain, value) => {
+        if (domain.kind === 'list') {
+            const entries = (value || []).map(item => [domain.key(item), JSON.stringify(item)]);
+            return { order: entries.map(([key]) => key), items: Object.fromEntries(entries) };
+        }
+        if (domain.kind === 'map') {
+            const entries = Object.entries(value || {}).map(([key, item]) => [key, JSON.stringify(item)]);
+            return { order: entries.map(([key]) => key), items: Object.fromEntries(entries) };
+        }
+        return { order: ['value'], items: { value: JSON.stringify(value ?? null) } };
+    };
+
+    const takeSnapshot = (source = currentSource()) => Object.fromEntries(
+        Object.entries(DOMAINS).map(([name, domain]) => [name, snapshotDomain(domain, domain.read(source))])
+    );
+
+    // Devuelve los elementos que cambiaron (null = no existía) y el orden si se alteró
+    const diffDomain = (before, after) => {
+        const keys = new Set([...Object.keys(before.items), ...Object.keys(after.items)]);
+        const items = [];
+        keys.forEach(key => {
+            const oldValue = before.items[key] ?? null;
+            const newValue = after.items[key] ?? null;
+            if (oldValue !== newValue) items.push({ key, before: oldValue, after: newValue });
+        });
+        const orderChanged = JSON.stringify(before.order) !== JSON.stringify(after.order);
+        if (items.length === 0 && !orderChanged) return null;
+        return { items, order: orderChanged ? { before: before.order, after: after.order } : null };
+    };
+
+    const diffSnapshots = (before, after) => {
+        const changes = {};
+        Object.keys(DOMAINS).forEach(name => {
+            const diff = diffDomain(before[name], after[name]);
+            if (diff) changes[name] = diff;
+        });
+        return changes;
+    };
+
+    // `direction` es 'before' para deshacer o 'after' para rehacer
+    const applyDomain = (snapshot, change, direction) => {
+        change.items.forEach(item => {
+            if (item[direction] === null) delete snapshot.items[item.key];
+            else snapshot.items[item.key] = item[direction];
+        });
+        if (change.order) snapshot.order = [...change.order[direction]];
+    };
+
+    const restoreDomain = (domain, snapshot) => {
+        const parse = key => JSON.parse(snapshot.items[key]);
+        if (domain.kind === 'list') domain.write(snapshot.order.map(parse));
+        else if (domain.kind === 'map') domain.write(Object.fromEntries(snapshot.order.map(key => [key, parse(key)])));
+        else domain.write(parse('value'));
+    };
+
+    const commandBytes = (command) => JSON.stringify(command.changes).length * 2;
+
+    const usedBytes = () => commands.reduce((total, command) => total + command.bytes, 0);
+
+    const enforceMemoryLimit = () => {
+        let total = usedBytes();
+        // Siempre se conserva al menos el último comando
+        while (total > MAX_HISTORY_BYTES && commands.length > 1) {
+            total -= commands.shift().bytes;
+            position--;
+        }
+    };
+
+    const formatBytes = (bytes) => bytes < 1024 * 1024
+        ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+        : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 
     const updateButtons = () => {
-        const localUndo = localHistoryIndex > 0;
-        const localRedo = localHistoryIndex < localHistoryStack.length - 1;
-        const globalUndo = historyIndex > 0;
-        const globalRedo = historyIndex < historyStack.length - 1;
-        DOM.undoButton.disabled = !localUndo && !globalUndo;
-        DOM.redoButton.disabled = !localRedo && !globalRedo;
+        DOM.undoButton.disabled = position === 0;
+        DOM.redoButton.disabled = position === commands.length;
+    };
+
+    const renderPanel = () => {
+        DOM.undoHistoryList.innerHTML = '';
+        const entries = [{ label: 'Estado inicial' }, ...commands];
+        entries.forEach((command, index) => {
+            const li = document.createElement('li');
+            li.dataset.historyPosition = index;
+            li.textContent = command.label;
+            if (index === position) li.classList.add('is-current');
+            else if (index > position) li.classList.add('is-future');
+            if (command.changes?.adjustments) li.title = 'Incluye cambios en los ajustes de imagen';
+            DOM.undoHistoryList.appendChild(li);
+        });
+        // Mantener visible el paso actual sin desplazar el resto del panel
+        const current = DOM.undoHistoryList.querySelector('.is-current');
+        if (current) DOM.undoHistoryList.scrollTop = current.offsetTop - DOM.undoHistoryList.clientHeight / 2;
+        DOM.undoHistoryUsage.textContent = `${commands.length} pasos · ${formatBytes(usedBytes())} de ${formatBytes(MAX_HISTORY_BYTES)}`;
     };
 
-    const loadState = (stateString) => {
-        const state = JSON.parse(stateString);
-        AppState.frames = state.frames;
-        AppState.clips = state.clips;
-        AppState.activeClipId = state.activeClipId;
-        AppState.subFrameOffsets = state.subFrameOffsets || {};
-        AppState.selectedFrameId = null;
-        AppState.selectedSubFrameId = null;
-        localHistoryStack = [];
-        localHistoryIndex = -1;
-        localHistoryFrameId = null;
-        App.updateAll(false); // Redibujar
-        SessionManager.saveCurrent(false); // Guardar el estado cargado, pero sin la imagen
+    const updateUI = () => {
+        updateButtons();
+        renderPanel();
+    };
+
+    // Registra como comando todo lo que cambió desde el último registro. Devuelve false si no hubo cambios.
+    const record = (label) => {
+        const snapshot = takeSnapshot();
+        if (!baseline) { baseline = snapshot; return false; } // Aún no hay proyecto cargado
+        const changes = diffSnapshots(baseline, snapshot);
+        baseline = snapshot;
+        if (Object.keys(changes).length === 0) return false;
+
+        commands = commands.slice(0, position);
+        const command = { label, time: Date.now(), changes };
+        command.bytes = commandBytes(command);
+        commands.push(command);
+        position++;
+        enforceMemoryLimit();
+        return true;
+    };
+
+    // Se desplaza por el historial aplicando inversos (hacia atrás) o comandos (hacia delante)
+    const goTo = (target) => {
+        target = Math.max(0, Math.min(commands.length, target));
+        if (target === position) return;
+
+        let adjustmentsChanged = false;
+        while (position > target) {
+            const command = commands[--position];
+            Object.entries(command.changes).forEach(([name, change]) => applyDomain(baseline[name], change, 'before'));
+            if (command.changes.adjustments) adjustmentsChanged = true;
+        }
+        while (position < target) {
+            const command = commands[position++];
+            Object.entries(command.changes).forEach(([name, change]) => applyDomain(baseline[name], change, 'after'));
+            if (command.changes.adjustments) adjustmentsChanged = true;
+        }
+        // Se reescribe todo el estado desde la línea base: cualquier cambio sin registrar se descarta
+        Object.entries(DOMAINS).forEach(([name, domain]) => restoreDomain(domain, baseline[name]));
+
+        AppState.selectedSlice = null;
+        if (!AppState.frames.some(f => f.id === AppState.selectedFrameId)) {
+            AppState.selectedFrameId = null;
+            AppState.selectedSubFrameId = null;
+        }
+        App.updateAll(false);
+        SessionManager.saveCurrent(false);
+        if (adjustmentsChanged) AdjustmentManager.refreshImage();
+        updateUI();
+    };
+
+    // Convierte el historial antiguo (instantáneas JSON completas) en comandos
+    const fromLegacyStack = (historyStack, historyIndex) => {
+        const fileName = AppState.currentFileName;
+        const snapshots = historyStack.map(stateString => {
+            const { state } = prepareProjectState(JSON.parse(stateString));
+            return takeSnapshot({ ...state, fileName });
+        });
+        const legacyCommands = [];
+        for (let i = 1; i < snapshots.length; i++) {
+            const command = { label: LEGACY_LABEL, time: 0, changes: diffSnapshots(snapshots[i - 1], snapshots[i]) };
+            command.bytes = commandBytes(command);
+            legacyCommands.push(command);
+        }
+        return { commands: legacyCommands, position: Math.max(0, Math.min(legacyCommands.length, historyIndex)) };
     };
 
     return {
         updateButtons,
-        saveGlobalState: () => {
-            historyStack = historyStack.slice(0, historyIndex + 1);
-            historyStack.push(JSON.stringify({
-                frames: AppState.frames,
-                clips: AppState.clips,
-                activeClipId: AppState.activeClipId,
-                subFrameOffsets: AppState.subFrameOffsets
-            }));
-            historyIndex++;
-            localHistoryStack = [];
-            localHistoryIndex = -1;
-            updateButtons(); 
-            SessionManager.saveCurrent(false); // Guardar solo metadatos, no la imagen
-        },
-        saveLocalState: () => {
-            const frame = AppState.frames.find(f => f.id === AppState.selectedFrameId);
-            if (!frame) return;
-            if (localHistoryFrameId !== AppState.selectedFrameId) {
-                localHistoryStack = [];
-                localHistoryIndex = -1;
-                localHistoryFrameId = AppState.selectedFrameId;
-            }
-            localHistoryStack = localHistoryStack.slice(0, localHistoryIndex + 1);
-            localHistoryStack.push(JSON.stringify({
-                hSlices: frame.hSlices,
-                vSlices: frame.vSlices
-            }));
-            localHistoryIndex++;
-            updateButtons(); 
+        // Registra la operación actual con una etiqueta legible
+        saveGlobalState: (label = 'Cambio') => {
+            App.syncFrameIdentities(); // Las identidades de celda deben quedar fijadas en el comando
+            if (record(label)) updateUI();
             SessionManager.saveCurrent(false); // Guardar solo metadatos, no la imagen
         },
-        undo: () => {
-            if (localHistoryIndex > 0) {
-                localHistoryIndex--;
-                const frame = AppState.frames.find(f => f.id === localHistoryFrameId);
-                const state = JSON.parse(localHistoryStack[localHistoryIndex]);
-                if (frame) {
-                    frame.hSlices = state.hSlices;
-                    frame.vSlices = state.vSlices;
-                }
-                App.updateAll(false); // Redibujar
-                SessionManager.saveCurrent(false); // Guardar el estado deshecho
-            } else if (historyIndex > 0) {
-                historyIndex--;
-                loadState(historyStack[historyIndex]);
-            }
-        },
-        redo: () => {
-            if (localHistoryIndex < localHistoryStack.length - 1) {
-                localHistoryIndex++;
-                const frame = AppState.frames.find(f => f.id === localHistoryFrameId);
-                const state = JSON.parse(localHistoryStack[localHistoryIndex]);
-                if (frame) {
-                    frame.hSlices = state.hSlices;
-                    frame.vSlices = state.vSlices;
-                }
-                App.updateAll(false); // Redibujar
-                SessionManager.saveCurrent(false); // Guardar el estado rehecho
-            } else if (historyIndex < historyStack.length - 1) {
-                historyIndex++;
-                loadState(historyStack[historyIndex]);
-            }
-        },
+        undo: () => goTo(position - 1),
+        redo: () => goTo(position + 1),
+        goTo,
         getHistoryState: () => ({
-            historyStack,
-            historyIndex
+            history: { commands, position }
         }),
         setHistoryState: (state) => {
-            historyStack = state.historyStack || [];
-            historyIndex = state.historyIndex === undefined ? -1 : state.historyIndex;
+            try {
+                if (state.history && Array.isArray(state.history.commands)) {
+                    // Los comandos de versiones anteriores podían llevar la imagen editada; ya no se usa
+                    commands = state.history.commands.map(({ image, ...command }) => command);
+                    position = Math.max(0, Math.min(commands.length, state.history.position ?? commands.length));
+                } else if (Array.isArray(state.historyStack)) {
+                    ({ commands, position } = fromLegacyStack(state.historyStack, state.historyIndex ?? -1));
+                } else {
+                    commands = [];
+                    position = 0;
+                }
+            } catch (error) {
+                console.error('No se pudo recuperar el historial de cambios:', error);
+                commands = [];
+                position = 0;
+            }
+            baseline = takeSnapshot();
+            updateUI();
         },
         reset: () => {
-            historyStack = [];
-            historyIndex = -1;
-            localHistoryStack = [];
-            localHistoryIndex = -1;
-            localHistoryFrameId = null;
-            updateButtons();
+            commands = [];
+            position = 0;
+            baseline = takeSnapshot();
+            updateUI();
         }
     };
 })();
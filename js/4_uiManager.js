@@ -4,6 +4,9 @@
 import { DOM } from './1_dom.js';
 import { AppState } from './2_appState.js';
 import { HistoryManager } from './3_historyManager.js';
+import { buildTemplateData, renderTemplate } from './exportTemplates.js';
+import { collectFrameEvents } from './frameEvents.js';
+import { TEXT_EXPORT_FORMATS, writeSparrowXml, writeCocosPlist, writeLibGdxAtlas, writeGodotSpriteFrames, writeUnityMeta, createUnityGuid } from './atlasFormats.js';
 
 const UIManager = (() => {
     return {
@@ -12,6 +15,8 @@ const UIManager = (() => {
             str = esc(str);
             if (lang === 'json') return str.replace(/("(\\u[a-zA-Z0-9]{4}|\\[^u]|[^\\"])*"(\s*:)?)/g, (m) => /:$/.test(m) ? `<span class="token-key">${m.slice(0,-1)}</span>:` : `<span class="token-string">${m}</span>`).replace(/([{}[\](),:])/g, '<span class="token-punctuation">$&</span>');
             if (lang === 'html') return str.replace(/(&lt;\/?)([^&gt;\s]+)/g, `$1<span class="token-tag">$2</span>`).replace(/([a-z-]+)=(&quot;.*?&quot;)/g, `<span class="token-attr-name">$1</span>=<span class="token-attr-value">$2</span>`);
+            if (lang === 'xml') return str.replace(/("[^"]*")|(&lt;[\/?!]?)([\w:.-]+)|(\s)([\w:.-]+)(?==)/g, (m, value, open, tag, space, attr) =>
+                value ? `<span class="token-attr-value">${value}</span>` : tag ? `${open}<span class="token-tag">${tag}</span>` : `${space}<span class="token-attr-name">${attr}</span>`);
             if (lang === 'css') return str.replace(/\/\*[\s\S]*?\*\//g, '<span class="token-comment">$&</span>').replace(/([a-zA-Z-]+)(?=:)/g, '<span class="token-property">$&</span>').replace(/(body|h1|@keyframes|\.stage|\.sprite-container|\.ground)/g, '<span class="token-selector">$&</span>');
             return str;
         },
@@ -78,14 +83,72 @@ const UIManager = (() => {
                 AppState.activeClipId = AppState.clips[0].id;
             }
 
+            this.updateClipPlaybackControls();
+
             const animFramesExist = AppState.getAnimationFrames().length > 0;
             DOM.playPauseButton.disabled = !animFramesExist;
             DOM.firstFrameButton.disabled = !animFramesExist;
             DOM.lastFrameButton.disabled = !animFramesExist;
+            DOM.prevFrameButton.disabled = !animFramesExist;
+            DOM.nextFrameButton.disabled = !animFramesExist;
+            DOM.previewScrubberRange.disabled = !animFramesExist;
             DOM.fpsSlider.disabled = !animFramesExist;
             DOM.fpsValue.textContent = DOM.fpsSlider.value;
         },
+        // Sentido, "una vez" e inicio de bucle del clip activo. El inicio de bucle se elige entre
+        // las entradas del clip (posición en frameIds), porque un mismo frame puede repetirse.
+        updateClipPlaybackControls() {
+            const clip = AppState.getActiveClip();
+            DOM.clipDirectionSelect.disabled = !clip;
+            DOM.clipOnceCheckbox.disabled = !clip;
+            DOM.clipLoopStartSelect.disabled = !clip;
+            DOM.clipLoopStartSelect.innerHTML = '<option value="0">Desde el inicio</option>';
+            if (!clip) return;
+            DOM.clipDirectionSelect.value = clip.direction || 'forward';
+            DOM.clipOnceCheckbox.checked = !!clip.once;
+            // Con "una vez" no hay bucle
+            DOM.clipLoopStartSelect.disabled = !!clip.once;
+            clip.frameIds.forEach((id, index) => {
+                if (index === 0) return;
+                const opt = document.createElement('option');
+                opt.value = index;
+                opt.textContent = `${index + 1}. F${id}`;
+                DOM.clipLoopStartSelect.appendChild(opt);
+            });
+            DOM.clipLoopStartSelect.value = clip.loopStart > 0 && clip.loopStart < clip.frameIds.length ? clip.loopStart : 0;
+        },
+        // Plantilla del usuario elegida en el selector de formato (valor "template:<id>"), o null
+        getExportTemplate(format) {
+            return AppState.exportTemplates.find(t => format === `template:${t.id}`) || null;
+        },
+        // Lanza un error si la plantilla está mal formada
+        renderExportTemplate(template) {
+            const meta = { image: AppState.currentFileName, size: { w: DOM.canvas.width, h: DOM.canvas.height }, fps: AppState.animation.fps };
+            return renderTemplate(template.body, buildTemplateData(meta, AppState.getFlattenedFrames(), AppState.clips));
+        },
+        // Extensión, tipo MIME, resaltado y nombre de archivo de un formato de exportación
+        getExportInfo(format) {
+            const template = this.getExportTemplate(format);
+            if (template) {
+                const language = { json: 'json', xml: 'xml', plist: 'xml' }[template.extension.toLowerCase()] || 'text';
+                return {
+                    extension: template.extension,
+                    mimeType: 'text/plain',
+                    language,
+                    fileName: (image) => `${image.split('.')[0]}_${template.name.replace(/[^\w-]+/g, '_')}.${template.extension}`
+                };
+            }
+            return TEXT_EXPORT_FORMATS[format] || { extension: 'json', mimeType: 'application/json', language: 'json' };
+        },
         getJsonString(format) {
+            const template = this.getExportTemplate(format);
+            if (template) {
+                try {
+                    return this.renderExportTemplate(template);
+                } catch (error) {
+                    return `Error en la plantilla: ${error.message}`;
+                }
+            }
             let out;
             const framesData = AppState.getFlattenedFrames();
             // --- CORRECCIÓN: Se actualiza la versión en los metadatos ---
@@ -93,9 +156,34 @@ const UIManager = (() => {
                 app: "Sprite Sheet Suite v4.4",
                 image: AppState.currentFileName,
                 size: { w: DOM.canvas.width, h: DOM.canvas.height },
-                clips: AppState.clips.map(c => ({ name: c.name, frames: c.frameIds }))
+                // Frames por nombre, como en el resto del archivo, para que el atlas se pueda volver a importar
+                clips: AppState.clips.map(c => {
+                    const timeline = AppState.getClipTimeline(c);
+                    return {
+                        name: c.name,
+                        frames: timeline.map(entry => entry.frame.name),
+                        durations: timeline.map(entry => Math.round(entry.duration)),
+                        direction: c.direction || 'forward',
+                        loop: !c.once,
+                        loopStart: Math.max(0, timeline.findIndex(entry => entry.index === (c.loopStart || 0))),
+                        events: collectFrameEvents(c, timeline.map(entry => entry.index))
+                    };
+                })
             };
             switch (format) {
+                case 'sparrow':
+                    return writeSparrowXml(framesData, meta);
+                case 'cocos2d':
+                    return writeCocosPlist(framesData, meta);
+                case 'libgdx':
+                    return writeLibGdxAtlas(framesData, meta);
+                case 'unity':
+                    if (framesData.length === 0) return '';
+                    // Sin guid pegado se crea uno aleatorio, que se guarda con el proyecto para las siguientes exportaciones
+                    if (!AppState.unityGuid) AppState.unityGuid = createUnityGuid();
+                    return writeUnityMeta(framesData, { ...meta, guid: AppState.unityGuid });
+                case 'godot4':
+                    return writeGodotSpriteFrames(framesData, { image: AppState.currentFileName, clips: AppState.clips, fps: AppState.animation.fps });
                 case 'phaser3':
                     // --- CORRECCIÓN: Se añade el 'pivot' para los offsets y se corrige la estructura ---
                     out = { frames: framesData.reduce((acc, f) => { 
@@ -106,7 +194,7 @@ const UIManager = (() => {
                             pivot: { x: f.offset.x / f.rect.w, y: f.offset.y / f.rect.h }
                         }; 
                         return acc; 
-                    }, {}), meta };
+                    }, {}), animations: this.getClipFrameNames(framesData), meta };
                     break;
                 case 'godot':
                     // --- CORRECCIÓN: Se simplifica y se añade el 'offset' directamente ---
@@ -122,11 +210,44 @@ const UIManager = (() => {
             }
             return JSON.stringify(out, null, 2);
         },
+        // Bloque "animations" de TexturePacker/Phaser: cada clip como lista de nombres de frame
+        getClipFrameNames(framesData) {
+            const namesById = new Map(framesData.map(f => [f.id, f.name]));
+            return Object.fromEntries(AppState.clips.map(c => [c.name, c.frameIds.map(id => namesById.get(id)).filter(Boolean)]));
+        },
+        // Manifiesto de animaciones para this.anims.fromJSON() (o this.load.animation) de Phaser 3, con
+        // el nombre de la imagen como clave de la textura. En Phaser la duración de un frame se suma
+        // a la de 1/frameRate, así que solo se escribe la diferencia en los frames con duración propia.
+        getPhaserAnimsString() {
+            const textureKey = AppState.currentFileName.split('.')[0];
+            const fps = AppState.animation.fps;
+            const namesById = new Map(AppState.getFlattenedFrames().map(f => [f.id, f.name]));
+            // Phaser ignora la clave "events": frame es la posición en "frames" (AnimationFrame.index - 1)
+            const anims = AppState.clips.map(clip => {
+                const entries = clip.frameIds
+                    .map((id, i) => ({ id, index: i, duration: AppState.getFrameDuration(clip, i) }))
+                    .filter(entry => namesById.has(entry.id));
+                if (clip.direction === 'reverse') entries.reverse();
+                const frames = entries.map(entry => {
+                    const frame = { key: textureKey, frame: namesById.get(entry.id) };
+                    const extra = Math.round(entry.duration - 1000 / fps);
+                    if (extra !== 0) frame.duration = extra;
+                    return frame;
+                });
+                const anim = { key: clip.name, type: 'frame', frames, frameRate: fps, repeat: clip.once ? 0 : -1, yoyo: clip.direction === 'pingpong' };
+                const events = collectFrameEvents(clip, entries.map(entry => entry.index));
+                if (events.length > 0) anim.events = events;
+                return anim;
+            });
+            return JSON.stringify({ anims, globalTimeScale: 1 }, null, 2);
+        },
         updateJsonOutput() {
             const format = DOM.jsonFormatSelect.value;
             const jsonString = this.getJsonString(format);
-            DOM.jsonOutput.innerHTML = this.highlightSyntax(jsonString, 'json');
+            DOM.jsonOutput.innerHTML = this.highlightSyntax(jsonString, this.getExportInfo(format).language);
             DOM.jsonLineNumbers.innerHTML = Array.from({ length: jsonString.split('\n').length }, (_, i) => `<span>${i+1}</span>`).join('');
+            DOM.unityGuidOptions.hidden = format !== 'unity';
+            if (document.activeElement !== DOM.unityGuidInput) DOM.unityGuidInput.value = AppState.unityGuid || '';
         },
         updateGifDimensions() {
             if (!DOM.gifAspectRatioLock.checked) return;
@@ -6,6 +6,7 @@ import { AppState } from './2_appState.js';
 import { HistoryManager } from './3_historyManager.js';
 import { UIManager } from './4_uiManager.js';
 import { CanvasView } from './5_canvasView.js';
+import { AnimationManager } from './7_animationManager.js';
 import { App } from './main.js';
 
 export let InteractionState = {
@@ -107,6 +108,9 @@ const InteractionController = (() => {
             AppState.selectedFrameId = frameAtClick.id;
             if (frameAtClick.type !== 'group') {
                 frameAtClick.type = 'group'; frameAtClick.hSlices = []; frameAtClick.vSlices = [];
+                // La primera celda hereda el id del frame simple para que clips y offsets lo sigan
+                frameAtClick.cells = [{ id: `${frameAtClick.id}`, x: 0, y: 0, w: frameAtClick.rect.w, h: frameAtClick.rect.h }];
+                frameAtClick.nextCellSeq = 0;
             }
             if (e.altKey) { frameAtClick.hSlices.push(pos.y - frameAtClick.rect.y); } 
             else {
@@ -117,12 +121,14 @@ const InteractionController = (() => {
                     frameAtClick.vSlices.push(newVSlice);
                 }
             }
-            HistoryManager.saveLocalState();
-            App.updateAll(false);
+            App.updateAll(true, 'Añadir división');
             return;
         }
 
         switch (AppState.activeTool) {
+            case 'eyedropper':
+                App.pickKeyColor(pos);
+                return;
             case 'select':
                 if (AppState.isLocked) {
                     UIManager.showToast('Frames bloqueados. Desbloquéalos para mover/redimensionar (L).', 'warning');
@@ -151,7 +157,6 @@ const InteractionController = (() => {
                     InteractionState.draggedSlice = sliceAtClick;
                 } else if (frameAtClick) {
                     // Si no se hizo clic en una línea o handle, nos preparamos para arrastrar el frame.
-                    if (AppState.selectedFrameId !== frameAtClick.id) HistoryManager.resetLocal();
                     AppState.selectedFrameId = frameAtClick.id;
                     AppState.selectedSubFrameId = subFrameAtClick ? subFrameAtClick.id : null;
                     AppState.selectedSlice = null; // Deseleccionamos cualquier línea anterior
@@ -226,7 +231,7 @@ const InteractionController = (() => {
                 DOM.canvas.style.cursor = 'default';
             }
         } 
-        else if (AppState.activeTool === 'create') { DOM.canvas.style.cursor = 'crosshair'; }
+        else if (AppState.activeTool === 'create' || AppState.activeTool === 'eyedropper') { DOM.canvas.style.cursor = 'crosshair'; }
         
         DOM.canvas.classList.toggle('cursor-eraser', AppState.activeTool === 'eraser');
 
@@ -280,21 +285,24 @@ const InteractionController = (() => {
 
     const handleMouseUp = (e) => {
         // ... (código de mouseup sin cambios)
-        let stateChanged = false;
+        let stateChanged = false, historyLabel;
         if (InteractionState.isResizing || InteractionState.isDragging || InteractionState.isDraggingSlice) {
             const frame = AppState.frames.find(f => f.id === AppState.selectedFrameId);
             if (frame) {
                 if (frame.rect.w < 0) { frame.rect.x += frame.rect.w; frame.rect.w *= -1; }
                 if (frame.rect.h < 0) { frame.rect.y += frame.rect.h; frame.rect.h *= -1; }
             }
-            if (InteractionState.isDraggingSlice) HistoryManager.saveLocalState();
-            else stateChanged = true;
+            stateChanged = true;
+            if (InteractionState.isDraggingSlice) historyLabel = 'Mover división';
+            else if (InteractionState.isResizing) historyLabel = 'Redimensionar frame';
+            else historyLabel = 'Mover frame';
         } else if (InteractionState.isDrawing && InteractionState.newRect) {
             if (InteractionState.newRect.w < 0) { InteractionState.newRect.x += InteractionState.newRect.w; InteractionState.newRect.w *= -1; }
             if (InteractionState.newRect.h < 0) { InteractionState.newRect.y += InteractionState.newRect.h; InteractionState.newRect.h *= -1; }
             if (InteractionState.newRect.w > 4 && InteractionState.newRect.h > 4) {
                 App.addNewFrame(InteractionState.newRect);
                 stateChanged = true;
+                historyLabel = 'Crear frame';
             }
         }
         
@@ -303,7 +311,7 @@ const InteractionController = (() => {
         InteractionState.isActionPending = false; InteractionState.pendingAction = null;
         InteractionState.newRect = InteractionState.resizeHandle = InteractionState.draggedSlice = InteractionState.dragStartFrameRect = null;
         
-        App.updateAll(stateChanged);
+        App.updateAll(stateChanged, historyLabel);
     };
 
     const handleDoubleClick = (e) => {
@@ -317,13 +325,14 @@ const InteractionController = (() => {
             if (!clip) { UIManager.showToast('Crea un clip de animación primero.', 'warning'); return; }
             const idx = clip.frameIds.indexOf(subFrame.id);
             if (idx > -1) {
-                clip.frameIds.splice(idx, 1);
+                AppState.setClipFrames(clip, clip.frameIds.filter((_, i) => i !== idx));
                 UIManager.showToast(`Frame F${subFrame.id} quitado de "${clip.name}".`, 'info');
+                App.updateAll(true, `Quitar F${subFrame.id} de "${clip.name}"`);
             } else {
-                clip.frameIds.push(subFrame.id);
+                AppState.setClipFrames(clip, [...clip.frameIds, subFrame.id]);
                 UIManager.showToast(`Frame F${subFrame.id} añadido a "${clip.name}".`, 'success');
+                App.updateAll(true, `Añadir F${subFrame.id} a "${clip.name}"`);
             }
-            App.updateAll(false);
         }
     };
     const handleKeyDown = (e) => {
@@ -343,8 +352,7 @@ const InteractionController = (() => {
                         frame.hSlices.splice(AppState.selectedSlice.index, 1);
                     }
                     AppState.selectedSlice = null; // Deseleccionar
-                    HistoryManager.saveLocalState(); // Guardar el cambio en el historial local del frame
-                    App.updateAll(false);
+                    App.updateAll(true, 'Eliminar división');
                 }
             }
             // Prioridad 2: Si no hay línea, borrar el frame seleccionado
@@ -360,6 +368,8 @@ const InteractionController = (() => {
         if (e.key.toLowerCase() === 'b') { e.preventDefault(); App.removeBackground(); }
         if (e.key.toLowerCase() === 'e') { e.preventDefault(); App.setActiveTool('eraser'); }
         if (e.key.toLowerCase() === 'l') { e.preventDefault(); App.toggleLock(); }
+        if (e.key === ',') { e.preventDefault(); AnimationManager.step(-1); }
+        if (e.key === '.') { e.preventDefault(); AnimationManager.step(1); }
         if (e.key.toLowerCase() === 'g') { 
             e.preventDefault(); 
             DOM.snapToGridCheckbox.checked = !DOM.snapToGridCheckbox.checked;
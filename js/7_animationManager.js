@@ -3,26 +3,122 @@
 
 import { DOM, CTX } from './1_dom.js';
 import { AppState } from './2_appState.js';
+import { ONION_SKIN_COLORS, getOnionSkinNeighbors, getOnionSkinAlpha, drawTintedFrame } from './onionSkin.js';
+import { App } from './main.js';
 
 const AnimationManager = (() => {
-    // La función del bucle de animación es privada para el módulo
+    // La función del bucle de animación es privada para el módulo.
+    // currentFrameIndex es la posición en el orden de reproducción del clip (ver
+    // AppState.getClipPlayback) del frame que se está mostrando; pasa al siguiente cuando se
+    // cumple su duración. Al terminar vuelve al inicio del bucle, o se detiene en el último
+    // frame si el clip se reproduce una sola vez.
     const animationLoop = (timestamp) => {
         if (!AppState.animation.isPlaying) return;
 
         const elapsed = timestamp - AppState.animation.lastTime;
-        const animFrames = AppState.getAnimationFrames();
+        const { sequence, loopFrom, once } = AppState.getClipPlayback();
 
-        if (elapsed > 1000 / AppState.animation.fps && animFrames.length > 0) {
-            AppState.animation.lastTime = timestamp;
-            drawFrameInPreview(animFrames[AppState.animation.currentFrameIndex]);
-            AppState.animation.currentFrameIndex = (AppState.animation.currentFrameIndex + 1) % animFrames.length;
+        if (sequence.length > 0) {
+            const current = sequence[AppState.animation.currentFrameIndex % sequence.length];
+            if (elapsed >= current.duration) {
+                let next = AppState.animation.currentFrameIndex + 1;
+                if (next >= sequence.length) {
+                    if (once) {
+                        stopPlayback();
+                        return;
+                    }
+                    next = loopFrom;
+                }
+                AppState.animation.lastTime = timestamp;
+                AppState.animation.currentFrameIndex = next;
+                drawFrameInPreview(sequence[next].frame);
+            }
         }
         AppState.animation.animationFrameId = requestAnimationFrame(animationLoop);
     };
+
+    const stopPlayback = () => {
+        AppState.animation.isPlaying = false;
+        DOM.playPauseButton.textContent = '▶️';
+        cancelAnimationFrame(AppState.animation.animationFrameId);
+    };
     
+    // --- Tira de miniaturas (scrubber) ---
+    // Una miniatura por entrada del clip activo, en el orden de frameIds, que es el que se edita
+    // al arrastrarlas. La barra de debajo recorre el orden de reproducción (sentido, ping-pong...).
+    let draggedEntryIndex = null;
+
+    const renderScrubber = () => {
+        const { sequence } = AppState.getClipPlayback();
+        DOM.previewScrubberRange.max = Math.max(0, sequence.length - 1);
+        DOM.previewScrubber.innerHTML = '';
+        if (!DOM.imageDisplay.complete || DOM.imageDisplay.naturalWidth === 0) return;
+
+        AppState.getClipTimeline().forEach(({ frame, events, index }) => {
+            const thumb = document.createElement('div');
+            thumb.className = 'scrubber-thumb';
+            thumb.draggable = true;
+            thumb.dataset.index = index;
+            thumb.setAttribute('role', 'listitem');
+            thumb.title = `${frame.name || `F${frame.id}`} (${index + 1})`;
+
+            const canvas = document.createElement('canvas');
+            const scale = Math.min(34 / frame.rect.w, 34 / frame.rect.h, 1);
+            canvas.width = Math.max(1, Math.round(frame.rect.w * scale));
+            canvas.height = Math.max(1, Math.round(frame.rect.h * scale));
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(DOM.imageDisplay, frame.rect.x, frame.rect.y, frame.rect.w, frame.rect.h, 0, 0, canvas.width, canvas.height);
+
+            const label = document.createElement('span');
+            label.textContent = index + 1;
+            thumb.appendChild(canvas);
+            thumb.appendChild(label);
+            if (events.length > 0) {
+                thumb.classList.add('has-events');
+                thumb.title += `\nEventos: ${events.map(event => event.name).join(', ')}`;
+            }
+            DOM.previewScrubber.appendChild(thumb);
+        });
+    };
+
+    // Marca la miniatura del frame que se muestra y la mantiene a la vista dentro de la tira
+    const updateScrubberIndicator = () => {
+        const { sequence } = AppState.getClipPlayback();
+        const position = AppState.animation.currentFrameIndex;
+        const entryIndex = sequence[position]?.index;
+        DOM.previewScrubberRange.value = position;
+        let current = null;
+        DOM.previewScrubber.querySelectorAll('.scrubber-thumb').forEach(thumb => {
+            const isCurrent = Number(thumb.dataset.index) === entryIndex;
+            thumb.classList.toggle('current', isCurrent);
+            if (isCurrent) current = thumb;
+        });
+        if (!current) return;
+        const strip = DOM.previewScrubber;
+        if (current.offsetLeft < strip.scrollLeft) {
+            strip.scrollLeft = current.offsetLeft;
+        } else if (current.offsetLeft + current.offsetWidth > strip.scrollLeft + strip.clientWidth) {
+            strip.scrollLeft = current.offsetLeft + current.offsetWidth - strip.clientWidth;
+        }
+    };
+
+    const clearDropMarkers = () => {
+        DOM.previewScrubber.querySelectorAll('.drop-before, .drop-after, .dragging').forEach(thumb => thumb.classList.remove('drop-before', 'drop-after', 'dragging'));
+    };
+
+    // ¿Se suelta antes o después de la miniatura, según la mitad sobre la que está el ratón?
+    const getDropTarget = (e) => {
+        const thumb = e.target.closest('.scrubber-thumb');
+        if (!thumb) return null;
+        const rect = thumb.getBoundingClientRect();
+        return { thumb, index: Number(thumb.dataset.index), after: e.clientX > rect.left + rect.width / 2 };
+    };
+
     // La función de dibujado también es privada
     const drawFrameInPreview = (frame) => {
         CTX.preview.clearRect(0, 0, DOM.previewCanvas.width, DOM.previewCanvas.height);
+        updateScrubberIndicator();
         if (!frame || !DOM.imageDisplay.complete || DOM.imageDisplay.naturalWidth === 0) return;
  
         const animFrames = AppState.getAnimationFrames();
@@ -46,16 +142,54 @@ const AnimationManager = (() => {
         const canvasOffsetX = (DOM.previewCanvas.width - animWidth * scale) / 2;
         const canvasOffsetY = (DOM.previewCanvas.height - animHeight * scale) / 2;
  
-        // 4. Calcular la posición de dibujado para el frame actual
+        // 4. Calcular la posición de dibujado de un frame
+        const placeFrame = (f) => ({
+            x: canvasOffsetX + (-f.offset.x - animBBox.minX) * scale,
+            y: canvasOffsetY + (-f.offset.y - animBBox.minY) * scale,
+            w: f.rect.w * scale,
+            h: f.rect.h * scale
+        });
+
+        // 5. Papel cebolla: los vecinos en el orden de reproducción, debajo del frame actual
+        const { sequence, once } = AppState.getClipPlayback();
+        if (AppState.onionSkin.enabled) {
+            const neighbors = getOnionSkinNeighbors(sequence.length, AppState.animation.currentFrameIndex, { ...AppState.onionSkin, wrap: !once });
+            neighbors.forEach(({ index, distance }) => {
+                const neighbor = sequence[index].frame;
+                const color = distance < 0 ? ONION_SKIN_COLORS.before : ONION_SKIN_COLORS.after;
+                drawTintedFrame(CTX.preview, DOM.imageDisplay, neighbor.rect, placeFrame(neighbor), color, getOnionSkinAlpha(distance, AppState.onionSkin));
+            });
+        }
+
         const { x, y, w, h } = frame.rect;
-        const drawW = w * scale;
-        const drawH = h * scale;
-        const drawX = canvasOffsetX + (-frame.offset.x - animBBox.minX) * scale;
-        const drawY = canvasOffsetY + (-frame.offset.y - animBBox.minY) * scale;
+        const dest = placeFrame(frame);
         
         // Desactiva el suavizado de imagen para mantener el estilo pixel art
         CTX.preview.imageSmoothingEnabled = false;
-        CTX.preview.drawImage(DOM.imageDisplay, x, y, w, h, drawX, drawY, drawW, drawH);
+        CTX.preview.drawImage(DOM.imageDisplay, x, y, w, h, dest.x, dest.y, dest.w, dest.h);
+
+        // 6. Eventos de la entrada: destello alrededor del sprite y sus nombres arriba
+        const entry = sequence[AppState.animation.currentFrameIndex];
+        if (entry && entry.frame === frame && entry.events.length > 0) drawEventFlash(dest, entry.events);
+    };
+
+    const drawEventFlash = (dest, events) => {
+        const ctx = CTX.preview;
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 214, 0, 0.18)';
+        ctx.fillRect(0, 0, DOM.previewCanvas.width, DOM.previewCanvas.height);
+        ctx.strokeStyle = '#ffd600';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(dest.x - 1, dest.y - 1, dest.w + 2, dest.h + 2);
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textBaseline = 'top';
+        const label = events.map(event => event.name).join(', ');
+        const width = Math.min(DOM.previewCanvas.width - 4, ctx.measureText(label).width + 6);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(2, 2, width, 14);
+        ctx.fillStyle = '#ffd600';
+        ctx.fillText(label, 5, 4, width - 6);
+        ctx.restore();
     };
     
     // Objeto público del módulo
@@ -66,28 +200,71 @@ const AnimationManager = (() => {
                 AppState.animation.fps = parseInt(e.target.value);
                 DOM.fpsValue.textContent = e.target.value;
             });
+            DOM.prevFrameButton.addEventListener('click', () => this.step(-1));
+            DOM.nextFrameButton.addEventListener('click', () => this.step(1));
+            DOM.previewScrubberRange.addEventListener('input', (e) => this.seek(parseInt(e.target.value, 10)));
+
+            DOM.previewScrubber.addEventListener('click', (e) => {
+                const thumb = e.target.closest('.scrubber-thumb');
+                if (thumb) this.selectEntry(Number(thumb.dataset.index));
+            });
+            DOM.previewScrubber.addEventListener('dragstart', (e) => {
+                const thumb = e.target.closest('.scrubber-thumb');
+                if (!thumb) return;
+                draggedEntryIndex = Number(thumb.dataset.index);
+                thumb.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', thumb.dataset.index);
+            });
+            DOM.previewScrubber.addEventListener('dragover', (e) => {
+                const target = draggedEntryIndex === null ? null : getDropTarget(e);
+                if (!target) return;
+                e.preventDefault();
+                DOM.previewScrubber.querySelectorAll('.drop-before, .drop-after').forEach(thumb => thumb.classList.remove('drop-before', 'drop-after'));
+                target.thumb.classList.add(target.after ? 'drop-after' : 'drop-before');
+            });
+            DOM.previewScrubber.addEventListener('drop', (e) => {
+                const target = draggedEntryIndex === null ? null : getDropTarget(e);
+                if (!target) return;
+                e.preventDefault();
+                let to = target.index + (target.after ? 1 : 0);
+                if (draggedEntryIndex < to) to--;
+                this.moveEntry(draggedEntryIndex, to);
+            });
+            DOM.previewScrubber.addEventListener('dragend', () => {
+                draggedEntryIndex = null;
+                clearDropMarkers();
+            });
+            DOM.onionSkinCheckbox.addEventListener('change', (e) => this.setOnionSkin({ enabled: e.target.checked }));
+            DOM.onionSkinBeforeInput.addEventListener('change', (e) => this.setOnionSkin({ before: parseInt(e.target.value, 10) }));
+            DOM.onionSkinAfterInput.addEventListener('change', (e) => this.setOnionSkin({ after: parseInt(e.target.value, 10) }));
+            DOM.onionSkinOpacityInput.addEventListener('input', (e) => this.setOnionSkin({ opacity: parseInt(e.target.value, 10) / 100 }));
             DOM.firstFrameButton.addEventListener('click', () => {
                 if (AppState.animation.isPlaying) this.toggleAnimation();
                 AppState.animation.currentFrameIndex = 0;
-                drawFrameInPreview(AppState.getAnimationFrames()[0]);
+                drawFrameInPreview(AppState.getClipPlayback().sequence[0]?.frame);
             });
             DOM.lastFrameButton.addEventListener('click', () => {
                 if (AppState.animation.isPlaying) this.toggleAnimation();
-                const animFrames = AppState.getAnimationFrames();
-                AppState.animation.currentFrameIndex = animFrames.length > 0 ? animFrames.length - 1 : 0;
-                drawFrameInPreview(animFrames[AppState.animation.currentFrameIndex]);
+                const { sequence } = AppState.getClipPlayback();
+                AppState.animation.currentFrameIndex = sequence.length > 0 ? sequence.length - 1 : 0;
+                drawFrameInPreview(sequence[AppState.animation.currentFrameIndex]?.frame);
             });
         },
 
         toggleAnimation() {
             AppState.animation.isPlaying = !AppState.animation.isPlaying;
-            if (AppState.animation.isPlaying && AppState.getAnimationFrames().length > 0) {
+            const { sequence, once } = AppState.getClipPlayback();
+            if (AppState.animation.isPlaying && sequence.length > 0) {
                 DOM.playPauseButton.textContent = '⏸️';
+                AppState.animation.currentFrameIndex %= sequence.length;
+                // Un clip de una sola vez que ya terminó vuelve a empezar
+                if (once && AppState.animation.currentFrameIndex === sequence.length - 1) AppState.animation.currentFrameIndex = 0;
+                drawFrameInPreview(sequence[AppState.animation.currentFrameIndex].frame);
                 AppState.animation.lastTime = performance.now();
                 animationLoop(AppState.animation.lastTime);
             } else {
-                DOM.playPauseButton.textContent = '▶️';
-                cancelAnimationFrame(AppState.animation.animationFrameId);
+                stopPlayback();
             }
         },
 
@@ -96,8 +273,77 @@ const AnimationManager = (() => {
                 this.toggleAnimation(); // Esto detiene el bucle y cambia el botón
             }
             AppState.animation.currentFrameIndex = 0;
-            const animFrames = AppState.getAnimationFrames();
-            drawFrameInPreview(animFrames.length > 0 ? animFrames[0] : null);
+            renderScrubber();
+            drawFrameInPreview(AppState.getClipPlayback().sequence[0]?.frame);
+        },
+
+        // Va a una posición del orden de reproducción, con la animación detenida
+        seek(position) {
+            if (AppState.animation.isPlaying) this.toggleAnimation();
+            const { sequence } = AppState.getClipPlayback();
+            if (sequence.length === 0) return;
+            AppState.animation.currentFrameIndex = Math.min(sequence.length - 1, Math.max(0, position || 0));
+            drawFrameInPreview(sequence[AppState.animation.currentFrameIndex].frame);
+        },
+
+        // Frame anterior (-1) o siguiente (1); en los extremos da la vuelta
+        step(delta) {
+            const length = AppState.getClipPlayback().sequence.length;
+            if (length === 0) return;
+            this.seek((AppState.animation.currentFrameIndex + delta + length) % length);
+        },
+
+        // Selecciona en el lienzo el sub-frame de una entrada del clip y la muestra en la previsualización
+        selectEntry(entryIndex) {
+            const entry = AppState.getClipTimeline().find(item => item.index === entryIndex);
+            if (!entry) return;
+            AppState.selectedFrameId = parseInt(String(entry.frame.id).split('_')[0], 10);
+            AppState.selectedSubFrameId = entry.frame.id;
+            AppState.selectedSlice = null;
+            App.updateAll(false);
+            this.showEntry(entryIndex);
+        },
+
+        // Cambia de sitio una entrada del clip activo (arrastrando su miniatura)
+        moveEntry(from, to) {
+            const clip = AppState.getActiveClip();
+            if (!clip || from === to || to < 0 || to >= clip.frameIds.length) return;
+            AppState.moveClipEntry(clip, from, to);
+            App.updateAll(true, `Reordenar "${clip.name}"`);
+            this.showEntry(to);
+        },
+
+        // Detiene la reproducción y muestra una entrada del clip (posición en frameIds), por
+        // ejemplo la que se está alineando en la línea de tiempo, con su papel cebolla
+        showEntry(entryIndex) {
+            if (AppState.animation.isPlaying) this.toggleAnimation();
+            const { sequence } = AppState.getClipPlayback();
+            const position = sequence.findIndex(entry => entry.index === entryIndex);
+            AppState.animation.currentFrameIndex = Math.max(0, position);
+            drawFrameInPreview(sequence[AppState.animation.currentFrameIndex]?.frame);
+        },
+
+        // Cambia el papel cebolla, lo refleja en los controles (el editor de offset tiene su
+        // propia casilla) y redibuja la previsualización
+        setOnionSkin(changes) {
+            const settings = AppState.onionSkin;
+            if (changes.enabled !== undefined) settings.enabled = changes.enabled;
+            if (Number.isInteger(changes.before)) settings.before = Math.min(5, Math.max(0, changes.before));
+            if (Number.isInteger(changes.after)) settings.after = Math.min(5, Math.max(0, changes.after));
+            if (changes.opacity > 0) settings.opacity = Math.min(1, changes.opacity);
+            DOM.onionSkinCheckbox.checked = settings.enabled;
+            DOM.offsetEditorOnionCheckbox.checked = settings.enabled;
+            DOM.onionSkinBeforeInput.value = settings.before;
+            DOM.onionSkinAfterInput.value = settings.after;
+            DOM.onionSkinOpacityInput.value = Math.round(settings.opacity * 100);
+            DOM.onionSkinOpacityValue.textContent = Math.round(settings.opacity * 100);
+            this.redraw();
+        },
+
+        // Vuelve a dibujar el frame que se está mostrando (p. ej. al cambiar el papel cebolla)
+        redraw() {
+            const { sequence } = AppState.getClipPlayback();
+            drawFrameInPreview(sequence[AppState.animation.currentFrameIndex % (sequence.length || 1)]?.frame);
         }
     };
 })();
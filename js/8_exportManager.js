@@ -4,25 +4,88 @@
 import { DOM } from './1_dom.js';
 import { AppState } from './2_appState.js';
 import { UIManager } from './4_uiManager.js';
+import { packAtlas } from './atlasPacker.js';
+import { exportSpritesAdvanced } from './spriteDetection.js';
+import { encodeApng, encodeAnimatedWebp } from './animatedImage.js';
 
 const ExportManager = (() => {
 
-    const generateCssAnimationCode = (animFrames, scale) => {
-        if (animFrames.length === 0) return { htmlCode: '', cssCode: '' };
+    // Caja que envuelve todos los frames de la animación una vez aplicados sus offsets.
+    // Los exportadores la usan para que todos los frames tengan el mismo tamaño y no salten.
+    const getAnimationBBox = (animFrames) => {
+        const minX = Math.min(...animFrames.map(f => -f.offset.x));
+        const minY = Math.min(...animFrames.map(f => -f.offset.y));
+        const maxX = Math.max(...animFrames.map(f => -f.offset.x + f.rect.w));
+        const maxY = Math.max(...animFrames.map(f => -f.offset.y + f.rect.h));
+        return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+    };
+
+    // Dibuja un frame en su posición alineada dentro de la caja, con escala y origen opcionales
+    const drawAlignedFrame = (ctx, frame, animBBox, scale = 1, originX = 0, originY = 0) => {
+        const { x, y, w, h } = frame.rect;
+        const drawX = originX + (-frame.offset.x - animBBox.minX) * scale;
+        const drawY = originY + (-frame.offset.y - animBBox.minY) * scale;
+        ctx.drawImage(DOM.imageDisplay, x, y, w, h, drawX, drawY, w * scale, h * scale);
+    };
+
+    // Escala única (mantiene la proporción) y desplazamiento para centrar la animación en width × height
+    const fitToCanvas = (animBBox, width, height) => {
+        const scale = Math.min(width / animBBox.width, height / animBBox.height);
+        return { scale, originX: (width - animBBox.width * scale) / 2, originY: (height - animBBox.height * scale) / 2 };
+    };
+
+    // Fondo de cuadros como el de la vista previa, con celdas de 8 píxeles de la imagen
+    const createCheckerPattern = (ctx, scale) => {
+        const cell = 8 * scale;
+        const tile = document.createElement('canvas');
+        tile.width = tile.height = cell * 2;
+        const tileCtx = tile.getContext('2d');
+        tileCtx.fillStyle = '#ffffff';
+        tileCtx.fillRect(0, 0, cell * 2, cell * 2);
+        tileCtx.fillStyle = '#cccccc';
+        tileCtx.fillRect(0, 0, cell, cell);
+        tileCtx.fillRect(cell, cell, cell, cell);
+        return ctx.createPattern(tile, 'repeat');
+    };
+
+    // Dibuja cada frame del clip activo con el tamaño y fondo de las opciones de animación y
+    // lo codifica con el navegador en el formato indicado
+    const renderAnimationFrames = async (timeline, mimeType, quality) => {
+        const width = parseInt(DOM.gifWidthInput.value, 10) || 128;
+        const height = parseInt(DOM.gifHeightInput.value, 10) || 128;
+        const animBBox = getAnimationBBox(timeline.map(entry => entry.frame));
+        const { scale, originX, originY } = fitToCanvas(animBBox, width, height);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+
+        const frames = [];
+        for (const { frame, duration } of timeline) {
+            ctx.clearRect(0, 0, width, height);
+            if (!DOM.gifTransparentBg.checked) {
+                ctx.fillStyle = DOM.gifBgColor.value;
+                ctx.fillRect(0, 0, width, height);
+            }
+            drawAlignedFrame(ctx, frame, animBBox, scale, originX, originY);
+            const blob = await new Promise(res => canvas.toBlob(res, mimeType, quality));
+            // Si el navegador no sabe codificar el formato, toBlob devuelve un PNG
+            if (!blob || blob.type !== mimeType) throw new Error(`El navegador no puede codificar ${mimeType}.`);
+            frames.push({ bytes: new Uint8Array(await blob.arrayBuffer()), delay: duration });
+        }
+        return { frames, width, height };
+    };
+
+    const generateCssAnimationCode = (timeline, scale, clip = {}) => {
+        if (timeline.length === 0) return { htmlCode: '', cssCode: '' };
+        const animFrames = timeline.map(entry => entry.frame);
 
         // --- LÓGICA DE TAMAÑO DE ESCENARIO MEJORADA ---
         // 1. Calcular el bounding box de toda la animación para definir el tamaño del escenario.
-        const animBBox = {
-            minX: Math.min(...animFrames.map(f => -f.offset.x)),
-            minY: Math.min(...animFrames.map(f => -f.offset.y)),
-            maxX: Math.max(...animFrames.map(f => -f.offset.x + f.rect.w)),
-            maxY: Math.max(...animFrames.map(f => -f.offset.y + f.rect.h)),
-        };
-        const stageW = Math.round(animBBox.maxX - animBBox.minX);
-        const stageH = Math.round(animBBox.maxY - animBBox.minY);
-
-        const frameCount = animFrames.length;
-        const duration = ((1 / AppState.animation.fps) * frameCount).toFixed(2);
+        const animBBox = getAnimationBBox(animFrames);
+        const stageW = Math.round(animBBox.width);
+        const stageH = Math.round(animBBox.height);
 
         const htmlCode = `<!DOCTYPE html>
 <html lang="es">
@@ -39,21 +102,42 @@ const ExportManager = (() => {
 </body>
 </html>`;
 
-        let keyframesSteps = animFrames.map((frame, index) => {
+        const frameStyle = (frame) => {
             const { x, y, w, h } = frame.rect;
-            const percentage = (index / frameCount) * 100;
             // 2. Calcular la traslación relativa al bounding box de la animación.
             const translateX = -frame.offset.x - animBBox.minX;
             const translateY = -frame.offset.y - animBBox.minY;
-            return `    ${percentage.toFixed(2)}% { width: ${w}px; height: ${h}px; background-position: -${x}px -${y}px; transform: translate(${translateX}px, ${translateY}px); }`;
-        }).join('\n');
+            return `{ width: ${w}px; height: ${h}px; background-position: -${x}px -${y}px; transform: translate(${translateX}px, ${translateY}px); }`;
+        };
+
+        // Cada frame empieza en el porcentaje del tiempo que ya ha pasado, según su duración.
+        // El keyframe del 100% es una copia del último frame para que se mantenga hasta el final.
+        const buildKeyframes = (name, entries) => {
+            const total = entries.reduce((sum, entry) => sum + entry.duration, 0);
+            let startTime = 0;
+            const steps = entries.map(entry => {
+                const percentage = (startTime / total) * 100;
+                startTime += entry.duration;
+                return `    ${percentage.toFixed(2)}% ${frameStyle(entry.frame)}`;
+            });
+            steps.push(`    100% ${frameStyle(entries[entries.length - 1].frame)}`);
+            return { duration: (total / 1000).toFixed(2), css: `@keyframes ${name} {\n${steps.join('\n')}\n}` };
+        };
 
-        // --- CORRECCIÓN ---
-        // El keyframe del 100% debe ser una copia del último frame para que se mantenga hasta el final,
-        // antes de que la animación se reinicie en el primer frame.
-        const lastFrame = animFrames[animFrames.length - 1];
-        const lastTranslateX = -lastFrame.offset.x - animBBox.minX;
-        const lastTranslateY = -lastFrame.offset.y - animBBox.minY;
+        // 3. Modo de reproducción del clip: el sentido pasa a animation-direction (ping-pong es
+        // "alternate", que en una sola pasada necesita dos iteraciones: ida y vuelta), "una vez"
+        // se queda en el último frame y la intro antes de loopStart es una animación aparte que
+        // suena una vez antes de que empiece el bucle.
+        const loopStart = clip.loopStart > 0 && clip.loopStart < clip.frameIds?.length ? clip.loopStart : 0;
+        const intro = timeline.filter(entry => entry.index < loopStart);
+        const body = intro.length > 0 && intro.length < timeline.length ? timeline.filter(entry => entry.index >= loopStart) : timeline;
+        const direction = { reverse: 'reverse', pingpong: 'alternate' }[clip.direction] || 'normal';
+        const iterations = clip.once ? (clip.direction === 'pingpong' ? 2 : 1) : 'infinite';
+        const play = buildKeyframes('play', body);
+        const introKeyframes = body !== timeline ? buildKeyframes('intro', intro) : null;
+        const playAnimation = `play ${play.duration}s steps(1, end)${introKeyframes ? ` ${introKeyframes.duration}s` : ''} ${iterations} ${direction}${clip.once ? ' forwards' : ''}`;
+        const animation = introKeyframes ? `intro ${introKeyframes.duration}s steps(1, end) 1, ${playAnimation}` : playAnimation;
+        const keyframes = introKeyframes ? `${introKeyframes.css}\n\n${play.css}` : play.css;
 
         const cssCode = `/* Estilos para la página de demostración */
 body {
@@ -102,14 +186,11 @@ body {
     image-rendering: crisp-edges;
 
     /* Aplicación de la animación */
-    animation: play ${duration}s steps(1, end) infinite;
+    animation: ${animation};
 }
 
 /* Definición de los pasos de la animación */
-@keyframes play {
-${keyframesSteps}
-    100% { width: ${lastFrame.rect.w}px; height: ${lastFrame.rect.h}px; background-position: -${lastFrame.rect.x}px -${lastFrame.rect.y}px; transform: translate(${lastTranslateX}px, ${lastTranslateY}px); }
-}`;
+${keyframes}`;
 
         return { htmlCode, cssCode };
     };
@@ -117,8 +198,11 @@ ${keyframesSteps}
     return {
         init() {
             DOM.exportZipButton.addEventListener('click', () => this.exportZip(true));
-            DOM.exportGifButton.addEventListener('click', () => this.exportGif(true));
+            DOM.exportGifButton.addEventListener('click', () => this.exportAnimation());
             DOM.exportCodeButton.addEventListener('click', () => this.exportCode());
+            DOM.exportPackedAtlasButton.addEventListener('click', () => this.exportPackedAtlas());
+            DOM.exportBatchButton.addEventListener('click', () => this.exportBatch());
+            DOM.exportVideoButton.addEventListener('click', () => this.exportVideo());
 
             // Listener para las nuevas opciones de exportación de GIF
             DOM.gifTransparentBg.addEventListener('change', (e) => {
@@ -181,26 +265,15 @@ ${keyframesSteps}
                 tempCtx.imageSmoothingEnabled = false; // Mantener píxeles nítidos
 
                 // 1. Calcular el bounding box de la animación para que todos los frames tengan el mismo tamaño.
-                const animBBox = {
-                    minX: Math.min(...animFrames.map(f => -f.offset.x)),
-                    minY: Math.min(...animFrames.map(f => -f.offset.y)),
-                    maxX: Math.max(...animFrames.map(f => -f.offset.x + f.rect.w)),
-                    maxY: Math.max(...animFrames.map(f => -f.offset.y + f.rect.h)),
-                };
-                const canvasW = animBBox.maxX - animBBox.minX;
-                const canvasH = animBBox.maxY - animBBox.minY;
-
-                tempCanvas.width = canvasW;
-                tempCanvas.height = canvasH;
+                const animBBox = getAnimationBBox(animFrames);
+                tempCanvas.width = animBBox.width;
+                tempCanvas.height = animBBox.height;
 
                 for (const frame of animFrames) {
                     // 2. Limpiar el canvas y dibujar el frame en su posición alineada.
-                    tempCtx.clearRect(0, 0, canvasW, canvasH);
-                    const drawX = -frame.offset.x - animBBox.minX;
-                    const drawY = -frame.offset.y - animBBox.minY;
+                    tempCtx.clearRect(0, 0, animBBox.width, animBBox.height);
+                    drawAlignedFrame(tempCtx, frame, animBBox);
 
-                    tempCtx.drawImage(DOM.imageDisplay, frame.rect.x, frame.rect.y, frame.rect.w, frame.rect.h, drawX, drawY, frame.rect.w, frame.rect.h);
-                    
                     // 3. Añadir el canvas (con el frame alineado) al ZIP.
                     const blob = await new Promise(res => tempCanvas.toBlob(res, 'image/png'));
                     zip.file(`${frame.name || `frame_${frame.id}`}.png`, blob);
@@ -222,7 +295,8 @@ ${keyframesSteps}
         },
 
         exportGif(showLoader = true) {
-            const animFrames = AppState.getAnimationFrames();
+            const { sequence: timeline, loopFrom, once } = AppState.getClipPlayback();
+            const animFrames = timeline.map(entry => entry.frame);
             if (animFrames.length === 0) {
                 UIManager.showToast("No hay frames en el clip activo para exportar.", 'warning');
                 return;
@@ -242,32 +316,17 @@ ${keyframesSteps}
                 const bgColor = DOM.gifBgColor.value;
                 const gifWidth = parseInt(DOM.gifWidthInput.value, 10) || 128;
                 const gifHeight = parseInt(DOM.gifHeightInput.value, 10) || 128;
-                // --- LÓGICA DE CÁLCULO DE TAMAÑO MEJORADA ---
-                // 1. Calcular el bounding box de toda la animación para un tamaño consistente.
-                const animBBox = {
-                    minX: Math.min(...animFrames.map(f => -f.offset.x)),
-                    minY: Math.min(...animFrames.map(f => -f.offset.y)),
-                    maxX: Math.max(...animFrames.map(f => -f.offset.x + f.rect.w)),
-                    maxY: Math.max(...animFrames.map(f => -f.offset.y + f.rect.h)),
-                };
-                const animWidth = animBBox.maxX - animBBox.minX;
-                const animHeight = animBBox.maxY - animBBox.minY;
-
-                // 2. Calcular la escala para cada eje. Esto permite estirar si la proporción no se mantiene.
-                // --- CORRECCIÓN: Calcular una escala única para mantener la proporción ---
-                const scale = Math.min(gifWidth / animWidth, gifHeight / animHeight);
-                const scaledAnimWidth = animWidth * scale;
-                const scaledAnimHeight = animHeight * scale;
-
-                // Calcular offsets para centrar la animación dentro del canvas del GIF
-                const canvasOffsetX = (gifWidth - scaledAnimWidth) / 2;
-                const canvasOffsetY = (gifHeight - scaledAnimHeight) / 2;
+                // 1. Calcular el bounding box de toda la animación para un tamaño consistente y
+                // una escala única que mantenga la proporción, centrada dentro del canvas del GIF.
+                const animBBox = getAnimationBBox(animFrames);
+                const { scale, originX, originY } = fitToCanvas(animBBox, gifWidth, gifHeight);
 
                 const gifOptions = {
                     workers: 2,
                     quality: 10,
                     workerScript: 'js/gif.worker.js',
                     transparent: isTransparent ? 0xFF00FF : null,
+                    repeat: once ? -1 : 0, // -1: una sola vez; 0: en bucle
                     width: gifWidth,
                     height: gifHeight
                 };
@@ -281,9 +340,7 @@ ${keyframesSteps}
                 // Para un look pixel-perfect, deshabilitamos el suavizado.
                 tempCtx.imageSmoothingEnabled = false;
 
-                animFrames.forEach(frame => {
-                    const { x, y, w, h } = frame.rect;
-
+                timeline.forEach(({ frame, duration }) => {
                     // 1. Preparar el fondo del canvas para este frame.
                     if (isTransparent) {
                         // Limpiar el canvas para que el fondo sea transparente antes de dibujar el sprite.
@@ -294,14 +351,8 @@ ${keyframesSteps}
                         tempCtx.fillRect(0, 0, gifWidth, gifHeight);
                     }
 
-                    // 2. Calcular la posición y tamaño del sprite DENTRO del canvas del GIF.
-                    const drawW = w * scale;
-                    const drawH = h * scale;
-                    const drawX = canvasOffsetX + (-frame.offset.x - animBBox.minX) * scale;
-                    const drawY = canvasOffsetY + (-frame.offset.y - animBBox.minY) * scale;
-
-                    // 3. Dibujar el sprite en el canvas.
-                    tempCtx.drawImage(DOM.imageDisplay, x, y, w, h, drawX, drawY, drawW, drawH);
+                    // 2. Dibujar el sprite en su posición alineada DENTRO del canvas del GIF.
+                    drawAlignedFrame(tempCtx, frame, animBBox, scale, originX, originY);
 
                     if (isTransparent) {
                         // 4. Para transparencia, procesar píxeles para evitar el contorno magenta.
@@ -319,10 +370,10 @@ ${keyframesSteps}
                                 data[i + 3] = 255; // A (Hacer opaco)
                             }
                         }
-                        gif.addFrame(imageData, { copy: true, delay: 1000 / AppState.animation.fps });
+                        gif.addFrame(imageData, { copy: true, delay: duration });
                     } else {
                         // 4. Si tiene fondo sólido, el canvas ya está listo para ser añadido.
-                        gif.addFrame(tempCanvas, { copy: true, delay: 1000 / AppState.animation.fps });
+                        gif.addFrame(tempCanvas, { copy: true, delay: duration });
                     }
                 });
 
@@ -333,6 +384,8 @@ ${keyframesSteps}
                     link.click();
                     URL.revokeObjectURL(link.href);
                     if (showLoader) UIManager.showToast('GIF exportado con éxito.', 'success');
+                    // El GIF solo sabe repetir la animación entera
+                    if (showLoader && loopFrom > 0 && !once) UIManager.showToast('El GIF repite el clip completo: no admite un inicio de bucle.', 'info');
                     if (showLoader) UIManager.hideLoader();
                 });
                 
@@ -348,14 +401,145 @@ ${keyframesSteps}
             }
         },
 
+        // Exporta el clip activo en el formato elegido en el panel "Clip Animado"
+        exportAnimation() {
+            const format = DOM.animFormatSelect.value;
+            if (format === 'gif') this.exportGif(true);
+            else this.exportAnimatedImage(format);
+        },
+
+        // APNG y WebP animado: alfa de 8 bits y la duración exacta de cada frame, sin la
+        // paleta de 256 colores ni la transparencia de 1 bit del GIF
+        async exportAnimatedImage(format) {
+            const { sequence: timeline, loopFrom, once } = AppState.getClipPlayback();
+            if (timeline.length === 0) {
+                UIManager.showToast('No hay frames en el clip activo para exportar.', 'warning');
+                return;
+            }
+            const isWebp = format === 'webp';
+            UIManager.showLoader(isWebp ? 'Generando WebP animado...' : 'Generando APNG...');
+            try {
+                const quality = Math.min(100, Math.max(1, parseInt(DOM.animWebpQualityInput.value, 10) || 100)) / 100;
+                const { frames, width, height } = await renderAnimationFrames(timeline, isWebp ? 'image/webp' : 'image/png', quality);
+                const loops = once ? 1 : 0;
+                const bytes = isWebp ? encodeAnimatedWebp(frames, { width, height, loops }) : encodeApng(frames, { loops });
+
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(new Blob([bytes], { type: isWebp ? 'image/webp' : 'image/apng' }));
+                link.download = `${AppState.currentFileName.split('.')[0]}_${AppState.getActiveClip().name}.${isWebp ? 'webp' : 'png'}`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+                UIManager.showToast(`${isWebp ? 'WebP animado' : 'APNG'} exportado con éxito.`, 'success');
+                if (loopFrom > 0 && !once) UIManager.showToast(`El ${isWebp ? 'WebP' : 'APNG'} repite el clip completo: no admite un inicio de bucle.`, 'info');
+            } catch (error) {
+                console.error(`Error exportando ${format}:`, error);
+                UIManager.showToast(`Error al exportar la animación: ${error.message}`, 'danger');
+            } finally {
+                UIManager.hideLoader();
+            }
+        },
+
+        // Graba en WebM el clip activo, o todos los clips seguidos, con MediaRecorder sobre un
+        // lienzo fuera de pantalla. Cada frame se entrega al stream cuando le toca, así que la
+        // grabación dura lo mismo que el vídeo.
+        async exportVideo() {
+            if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+                UIManager.showToast('Este navegador no permite grabar vídeo (MediaRecorder).', 'danger');
+                return;
+            }
+            const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+            if (!mimeType) {
+                UIManager.showToast('Este navegador no puede grabar vídeo WebM.', 'danger');
+                return;
+            }
+            const clips = DOM.videoScopeSelect.value === 'all' ? AppState.clips : [AppState.getActiveClip()].filter(Boolean);
+            const sequence = clips
+                .map(clip => ({ clip, ...AppState.getClipPlayback(clip) }))
+                .filter(item => item.sequence.length > 0)
+                .map(item => ({ ...item, animBBox: getAnimationBBox(item.sequence.map(entry => entry.frame)) }));
+            // La intro solo suena en la primera pasada; un clip de una sola vez no tiene
+            // bucle, así que en cada pasada se reproduce entero
+            const passTimeline = (item, loop) => (loop === 0 || item.once ? item.sequence : item.sequence.slice(item.loopFrom));
+            if (sequence.length === 0) {
+                UIManager.showToast('No hay frames en los clips para grabar.', 'warning');
+                return;
+            }
+
+            // Escala entera para que cada píxel del sprite sea un bloque exacto
+            const scale = Math.min(16, Math.max(1, parseInt(DOM.videoScaleInput.value, 10) || 1));
+            const loops = Math.min(100, Math.max(1, parseInt(DOM.videoLoopsInput.value, 10) || 1));
+            const width = Math.max(...sequence.map(item => item.animBBox.width)) * scale;
+            const height = Math.max(...sequence.map(item => item.animBBox.height)) * scale;
+            let totalDuration = 0;
+            for (let loop = 0; loop < loops; loop++) {
+                sequence.forEach(item => { totalDuration += passTimeline(item, loop).reduce((acc, entry) => acc + entry.duration, 0); });
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingEnabled = false;
+            const background = DOM.videoBackgroundSelect.value === 'checker' ? createCheckerPattern(ctx, scale) : DOM.videoBgColor.value;
+
+            // Con captureStream(0) el stream solo recibe un frame al llamar a requestFrame()
+            const stream = canvas.captureStream(0);
+            const [track] = stream.getVideoTracks();
+            const recorder = new MediaRecorder(stream, { mimeType });
+            const chunks = [];
+            recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+            UIManager.showLoader('Grabando vídeo...');
+            try {
+                recorder.start();
+                // Las esperas se miden desde el inicio para que los retrasos de setTimeout no se acumulen
+                const start = performance.now();
+                let elapsed = 0;
+                for (let loop = 0; loop < loops; loop++) {
+                    for (const item of sequence) {
+                        const { animBBox } = item;
+                        const originX = Math.floor((width - animBBox.width * scale) / 2);
+                        const originY = Math.floor((height - animBBox.height * scale) / 2);
+                        for (const { frame, duration } of passTimeline(item, loop)) {
+                            ctx.fillStyle = background;
+                            ctx.fillRect(0, 0, width, height);
+                            drawAlignedFrame(ctx, frame, animBBox, scale, originX, originY);
+                            track.requestFrame();
+                            elapsed += duration;
+                            await new Promise(resolve => setTimeout(resolve, Math.max(0, start + elapsed - performance.now())));
+                            UIManager.showLoader(`Grabando vídeo... ${Math.round(elapsed / totalDuration * 100)}%`);
+                        }
+                    }
+                }
+                recorder.stop();
+                await stopped;
+
+                const name = sequence.length === 1 ? sequence[0].clip.name : 'clips';
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(new Blob(chunks, { type: 'video/webm' }));
+                link.download = `${AppState.currentFileName.split('.')[0]}_${name}.webm`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+                UIManager.showToast('Vídeo exportado con éxito.', 'success');
+            } catch (error) {
+                console.error('Error grabando el vídeo:', error);
+                UIManager.showToast(`Error al grabar el vídeo: ${error.message}`, 'danger');
+                if (recorder.state !== 'inactive') recorder.stop();
+            } finally {
+                track.stop();
+                UIManager.hideLoader();
+            }
+        },
+
         exportCode() {
-            const animFrames = AppState.getAnimationFrames();
-            if (animFrames.length === 0) {
+            const timeline = AppState.getClipTimeline();
+            if (timeline.length === 0) {
                 UIManager.showToast("Selecciona al menos un frame en el clip activo.", 'warning');
                 return;
             }
             const scale = parseFloat(DOM.exportScaleInput.value) || 2;
-            const { htmlCode, cssCode } = generateCssAnimationCode(animFrames, scale);
+            const { htmlCode, cssCode } = generateCssAnimationCode(timeline, scale, AppState.getActiveClip());
 
             DOM.htmlCodeOutput.innerHTML = UIManager.highlightSyntax(htmlCode, 'html');
             DOM.cssCodeOutput.innerHTML = UIManager.highlightSyntax(cssCode, 'css');
@@ -372,15 +556,15 @@ ${keyframesSteps}
         },
 
         async downloadCodeAsZip() {
-            const animFrames = AppState.getAnimationFrames();
-            if (animFrames.length === 0) return;
+            const timeline = AppState.getClipTimeline();
+            if (timeline.length === 0) return;
 
             if (typeof JSZip === 'undefined') {
                 throw new Error('La librería JSZip no está cargada.');
             }
 
             const scale = parseFloat(DOM.exportScaleInput.value) || 2;
-            const { htmlCode, cssCode } = generateCssAnimationCode(animFrames, scale);
+            const { htmlCode, cssCode } = generateCssAnimationCode(timeline, scale, AppState.getActiveClip());
 
             const zip = new JSZip();
             zip.file("index.html", htmlCode);
@@ -398,19 +582,188 @@ ${keyframesSteps}
             URL.revokeObjectURL(link.href);
         },
 
+        // Exporta cada frame (o cada frame de cada clip) como imagen suelta en los formatos
+        // elegidos, con un manifiesto de metadatos, usando la exportación avanzada por lotes.
+        async exportBatch() {
+            const framesData = AppState.getFlattenedFrames();
+            const byId = new Map(framesData.map(f => [f.id, f]));
+            const baseName = AppState.currentFileName.split('.')[0];
+            const frames = DOM.batchScopeSelect.value === 'clips'
+                ? AppState.clips.flatMap(clip => clip.frameIds
+                    .filter(id => byId.has(id))
+                    .map((id, clipIndex) => ({ ...byId.get(id), clip: clip.name, clipIndex })))
+                : framesData.map(f => ({ ...f, clip: baseName }));
+            if (frames.length === 0) {
+                UIManager.showToast('No hay frames para exportar.', 'warning');
+                return;
+            }
+            const formats = [['png', DOM.batchFormatPngCheckbox], ['webp', DOM.batchFormatWebpCheckbox], ['jpeg', DOM.batchFormatJpegCheckbox]]
+                .filter(([, checkbox]) => checkbox.checked).map(([format]) => format);
+            if (formats.length === 0) {
+                UIManager.showToast('Elige al menos un formato de imagen.', 'warning');
+                return;
+            }
+            // Un campo vacío o inválido usa el valor por defecto del propio campo
+            const qualityOf = (input, fallback) => Math.min(100, Math.max(1, parseInt(input.value, 10) || fallback)) / 100;
+
+            UIManager.showLoader('Exportando frames...');
+            DOM.batchExportProgress.value = 0;
+            DOM.batchExportProgress.hidden = false;
+            try {
+                if (typeof JSZip === 'undefined') {
+                    throw new Error('La librería JSZip no está cargada. Revisa el script en index.html.');
+                }
+                const results = await exportSpritesAdvanced(frames, {
+                    image: DOM.imageDisplay,
+                    formats,
+                    quality: { webp: qualityOf(DOM.batchWebpQualityInput, parseInt(DOM.batchWebpQualityInput.defaultValue, 10)), jpeg: qualityOf(DOM.batchJpegQualityInput, parseInt(DOM.batchJpegQualityInput.defaultValue, 10)) },
+                    namingPattern: DOM.batchNamingInput.value.trim() || '{clip}_{index}',
+                    outputPath: baseName,
+                    enableProgressCallback: true,
+                    progressCallback: ({ current, total, percentage }) => {
+                        DOM.batchExportProgress.value = percentage;
+                        UIManager.showLoader(`Exportando frames... (lote ${current} de ${total})`);
+                    }
+                });
+                if (results.exported.length === 0) {
+                    throw new Error(results.failed[0]?.error || 'No se generó ninguna imagen');
+                }
+
+                const zip = new JSZip();
+                results.exported.forEach(item => zip.file(item.name, item.data));
+                zip.file('manifest.json', JSON.stringify(results.metadata, null, 2));
+                const content = await zip.generateAsync({ type: 'blob' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(content);
+                link.download = `${baseName}_sprites.zip`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+
+                if (results.failed.length > 0) {
+                    const failedFormats = [...new Set(results.failed.map(item => item.format))].join(', ');
+                    UIManager.showToast(`Exportados ${results.exported.length} archivos; ${results.failed.length} fallaron (${failedFormats}).`, 'warning');
+                } else {
+                    UIManager.showToast(`Exportados ${results.exported.length} archivos.`, 'success');
+                }
+            } catch (error) {
+                console.error('Error en la exportación por lotes:', error);
+                UIManager.showToast(`Error en la exportación por lotes: ${error.message}`, 'danger');
+            } finally {
+                DOM.batchExportProgress.hidden = true;
+                UIManager.hideLoader();
+            }
+        },
+
+        // Empaqueta todos los frames en un atlas nuevo (una o varias páginas PNG) con su JSON
+        // de TexturePacker: JSON Hash si cabe en una página, o multiatlas de Phaser 3 si no.
+        async exportPackedAtlas() {
+            const framesData = AppState.getFlattenedFrames();
+            if (framesData.length === 0) {
+                UIManager.showToast('No hay frames para empaquetar.', 'warning');
+                return;
+            }
+            UIManager.showLoader('Empaquetando atlas...');
+            try {
+                if (typeof JSZip === 'undefined') {
+                    throw new Error('La librería JSZip no está cargada. Revisa el script en index.html.');
+                }
+                const { pages, skipped } = packAtlas(DOM.imageDisplay, framesData, {
+                    padding: Math.max(0, parseInt(DOM.packPaddingInput.value, 10) || 0),
+                    extrude: Math.max(0, parseInt(DOM.packExtrudeInput.value, 10) || 0),
+                    maxSize: parseInt(DOM.packMaxSizeSelect.value, 10),
+                    powerOfTwo: DOM.packPowerOfTwoCheckbox.checked,
+                    trim: DOM.packTrimCheckbox.checked
+                });
+                if (pages.length === 0) {
+                    UIManager.showToast('Ningún frame cabe en el tamaño máximo elegido.', 'warning');
+                    return;
+                }
+
+                const baseName = AppState.currentFileName.split('.')[0];
+                const zip = new JSZip();
+                const textures = [];
+                for (const [index, page] of pages.entries()) {
+                    const image = pages.length === 1 ? `${baseName}.png` : `${baseName}-${index}.png`;
+                    zip.file(image, await new Promise(res => page.canvas.toBlob(res, 'image/png')));
+                    textures.push({
+                        image,
+                        format: 'RGBA8888',
+                        size: { w: page.canvas.width, h: page.canvas.height },
+                        scale: 1,
+                        frames: page.frames.map(f => ({
+                            filename: f.source.name,
+                            frame: f.frame,
+                            rotated: false,
+                            trimmed: f.trimmed,
+                            spriteSourceSize: f.spriteSourceSize,
+                            sourceSize: f.sourceSize,
+                            pivot: { x: f.source.offset.x / f.sourceSize.w, y: f.source.offset.y / f.sourceSize.h }
+                        }))
+                    });
+                }
+                const app = 'Sprite Sheet Suite v4.4';
+                const animations = UIManager.getClipFrameNames(framesData);
+                const atlas = textures.length === 1
+                    ? {
+                        frames: Object.fromEntries(textures[0].frames.map(({ filename, ...data }) => [filename, data])),
+                        animations,
+                        meta: { app, image: textures[0].image, format: 'RGBA8888', size: textures[0].size, scale: 1 }
+                    }
+                    : { textures, animations, meta: { app } };
+                zip.file(`${baseName}.json`, JSON.stringify(atlas, null, 2));
+
+                const content = await zip.generateAsync({ type: 'blob' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(content);
+                link.download = `${baseName}_atlas.zip`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+
+                const packed = framesData.length - skipped.length;
+                if (skipped.length > 0) {
+                    console.warn(`Frames que no caben en el tamaño máximo: ${skipped.join(', ')}`);
+                    UIManager.showToast(`Atlas empaquetado (${packed} frames en ${pages.length} página(s)); ${skipped.length} frame(s) no caben en el tamaño máximo.`, 'warning');
+                } else {
+                    UIManager.showToast(`Atlas empaquetado: ${packed} frames en ${pages.length} página(s).`, 'success');
+                }
+            } catch (error) {
+                console.error('Error empaquetando el atlas:', error);
+                UIManager.showToast('Error al empaquetar el atlas.', 'danger');
+            } finally {
+                UIManager.hideLoader();
+            }
+        },
+
         downloadJson() {
             const format = DOM.jsonFormatSelect.value;
-            const jsonString = UIManager.getJsonString(format);
+            const template = UIManager.getExportTemplate(format);
+            let jsonString;
+            try {
+                jsonString = template ? UIManager.renderExportTemplate(template) : UIManager.getJsonString(format);
+            } catch (error) {
+                UIManager.showToast(`La plantilla "${template.name}" tiene errores: ${error.message}`, 'danger');
+                return;
+            }
             if (!jsonString || jsonString.trim() === '{}') {
                 return;
             }
 
-            const blob = new Blob([jsonString], { type: 'application/json;charset=utf-8;' });
+            const { extension, mimeType, fileName } = UIManager.getExportInfo(format);
+            const blob = new Blob([jsonString], { type: `${mimeType};charset=utf-8;` });
             const link = document.createElement('a');
             link.href = URL.createObjectURL(blob);
-            link.download = `${AppState.currentFileName.split('.')[0]}_${format}.json`;
+            link.download = fileName ? fileName(AppState.currentFileName) : `${AppState.currentFileName.split('.')[0]}_${format}.${extension}`;
             link.click();
             URL.revokeObjectURL(link.href);
+
+            // El atlas de Phaser 3 va acompañado del manifiesto de animaciones de los clips
+            if (format === 'phaser3' && AppState.clips.length > 0) {
+                const animsLink = document.createElement('a');
+                animsLink.href = URL.createObjectURL(new Blob([UIManager.getPhaserAnimsString()], { type: 'application/json;charset=utf-8;' }));
+                animsLink.download = `${AppState.currentFileName.split('.')[0]}_anims.json`;
+                animsLink.click();
+                URL.revokeObjectURL(animsLink.href);
+            }
         },
 
         async exportAllFormats() {
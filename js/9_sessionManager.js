@@ -1,83 +1,89 @@
 // --- Módulo de Sesión y Persistencia ---
-// Guarda y carga el estado de la aplicación en el LocalStorage.
+// Guarda y carga el estado de la aplicación en IndexedDB (a través de StorageManager).
 
 import { DOM } from './1_dom.js';
 import { AppState } from './2_appState.js';
 import { HistoryManager } from './3_historyManager.js';
 import { UIManager } from './4_uiManager.js';
+import { StorageManager } from './10_storageManager.js';
+import { CURRENT_SCHEMA_VERSION } from './projectSchema.js';
 
 const SessionManager = (() => {
-    // --- NUEVO --- Variable para evitar toasts repetidos de error de cuota
-    let quotaErrorShown = false;
-    const MAX_HISTORY_ITEMS = 2; // Reducido para ahorrar espacio y evitar errores de cuota
-
-    // --- NUEVO --- Función centralizada para guardar con manejo de errores
-    const _safeSetItem = (key, value) => {
-        try {
-            localStorage.setItem(key, value);
-            quotaErrorShown = false; // Reiniciar en un guardado exitoso
-            return true;
-        } catch (e) {
-            if (e.name === 'QuotaExceededError') {
-                if (!quotaErrorShown) {
-                    UIManager.showToast('Error: El proyecto es demasiado grande para guardarse automáticamente.', 'danger');
-                    console.error(`Error de cuota al guardar en localStorage (key: ${key}). El estado actual no se guardará. Considere usar una imagen más pequeña o limpiar el historial de proyectos.`);
-                    quotaErrorShown = true; // Evita mostrar el mismo error repetidamente
-                }
-            } else {
-                console.error(`Error al guardar en localStorage (key: ${key}):`, e);
-                UIManager.showToast('Error inesperado al guardar el proyecto.', 'danger');
-            }
-            return false;
+    // Variable para evitar toasts repetidos de error de almacenamiento
+    let storageErrorShown = false;
+    const MAX_HISTORY_ITEMS = 30;
+
+    // --- Función centralizada para el manejo de errores de guardado ---
+    const handleStorageError = (error, context) => {
+        if (storageErrorShown) return;
+        storageErrorShown = true; // Evita mostrar el mismo error repetidamente
+        if (error && error.name === 'QuotaExceededError') {
+            UIManager.showToast('Error: No queda espacio en el navegador para guardar el proyecto.', 'danger');
+        } else {
+            UIManager.showToast('Error inesperado al guardar el proyecto.', 'danger');
         }
+        console.error(`Error de almacenamiento (${context}):`, error);
     };
 
-    // Funciones privadas para manejar el historial de proyectos
-    const getProjectHistory = () => JSON.parse(localStorage.getItem('spriteSheetHistory') || '[]');
-    const saveProjectHistory = (history) => _safeSetItem('spriteSheetHistory', JSON.stringify(history));
+    // Se guarda siempre la imagen original; la mostrada se recalcula con la pila de ajustes
+    const hasImage = () => !!AppState.sourceImageBlob;
+
+    const buildState = () => ({
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        fileName: AppState.currentFileName,
+        frames: AppState.frames,
+        clips: AppState.clips,
+        activeClipId: AppState.activeClipId,
+        subFrameOffsets: AppState.subFrameOffsets,
+        adjustments: AppState.adjustments,
+        exportTemplates: AppState.exportTemplates,
+        unityGuid: AppState.unityGuid,
+        ...HistoryManager.getHistoryState()
+    });
+
+    // Convierte un registro guardado en el formato que espera App.loadProjectState
+    const toLoadableState = (state, imageBlob) => ({ ...state, imageBlob });
 
     return {
-        init() {
+        async init() {
+            try {
+                const migrated = await StorageManager.migrateLegacyStorage();
+                if (migrated > 0) UIManager.showToast(`Se trasladaron ${migrated} proyectos guardados al nuevo almacenamiento del navegador.`, 'info');
+            } catch (error) {
+                console.error('Error migrando los datos de localStorage:', error);
+            }
             // Cargar la última sesión al iniciar y poblar el panel
-            this.loadLast();
-            this.updateHistoryPanel();
+            await this.loadLast();
+            await this.updateHistoryPanel();
         },
 
-        saveCurrent(includeImage = false) {
-            if (!DOM.imageDisplay.src || DOM.imageDisplay.src.startsWith('http')) return;
-
-            const state = {
-                // imageSrc no se incluye por defecto para evitar errores de cuota en cada cambio.
-                // Se incluirá explícitamente solo cuando la imagen cambie.
-                fileName: AppState.currentFileName,
-                frames: AppState.frames,
-                clips: AppState.clips,
-                activeClipId: AppState.activeClipId,
-                subFrameOffsets: AppState.subFrameOffsets,
-                ...HistoryManager.getHistoryState()
-            };
-
-            if (includeImage) {
-                state.imageSrc = DOM.imageDisplay.src;
-            } 
-            
-            _safeSetItem('spriteSheetLastSession', JSON.stringify(state));
+        async saveCurrent(includeImage = false) {
+            if (!hasImage()) return;
+            try {
+                // La imagen solo se reescribe cuando cambia; el resto del estado se guarda en cada cambio.
+                const imageBlob = includeImage ? AppState.sourceImageBlob : null;
+                await StorageManager.saveSession(buildState(), imageBlob);
+                storageErrorShown = false; // Reiniciar en un guardado exitoso
+            } catch (error) {
+                handleStorageError(error, 'sesión');
+            }
         },
 
-        loadLast() {
-            const savedState = localStorage.getItem('spriteSheetLastSession');
-            if (savedState) {
-                // En lugar de cargar el proyecto aquí, se lo pasamos al App principal.
-                // Esto se hace para que el evento onload en main.js pueda manejar la recarga.
-                const state = JSON.parse(savedState);
-                if (state.imageSrc) {
-                     // Simulamos una carga de proyecto
-                    window.dispatchEvent(new CustomEvent('loadProjectState', { detail: state }));
+        async loadLast() {
+            try {
+                const session = await StorageManager.loadSession();
+                // Una sesión sin imagen no se puede reabrir.
+                if (session && session.imageBlob) {
+                    // En lugar de cargar el proyecto aquí, se lo pasamos al App principal.
+                    // Esto se hace para que el evento onload en main.js pueda manejar la recarga.
+                    window.dispatchEvent(new CustomEvent('loadProjectState', { detail: toLoadableState(session.state, session.imageBlob) }));
                 }
+            } catch (error) {
+                console.error('Error cargando la última sesión:', error);
             }
         },
-        
-        addToHistory() {
+
+        async addToHistory() {
             const id = Date.now();
             const thumbCanvas = document.createElement('canvas');
             const thumbCtx = thumbCanvas.getContext('2d');
@@ -89,37 +95,41 @@ const SessionManager = (() => {
             } else {
                  thumbCtx.fillStyle = '#333'; thumbCtx.fillRect(0,0,thumbSize, thumbSize);
             }
-            const thumbSrc = thumbCanvas.toDataURL();
-            const historyEntry = { id, name: AppState.currentFileName, thumb: thumbSrc };
-            let history = getProjectHistory();
-            history = history.filter(item => item.name !== AppState.currentFileName);
-            history.unshift(historyEntry);
-            if (history.length > MAX_HISTORY_ITEMS) {
-                const itemToRemove = history.pop();
-                localStorage.removeItem(`history_${itemToRemove.id}`); // Limpiar el estado completo del item eliminado
+            const record = { id, name: AppState.currentFileName, thumb: thumbCanvas.toDataURL(), updatedAt: id, state: buildState() };
+
+            try {
+                // Un solo registro por nombre de archivo, y como máximo MAX_HISTORY_ITEMS
+                const history = await StorageManager.listProjects();
+                const toRemove = history.filter(item => item.name === record.name);
+                const remaining = history.filter(item => item.name !== record.name);
+                toRemove.push(...remaining.slice(MAX_HISTORY_ITEMS - 1));
+                for (const item of toRemove) await StorageManager.deleteProject(item.id);
+
+                // El historial de proyectos guarda su propia copia de la imagen para ser autocontenido
+                await StorageManager.saveProject(record, AppState.sourceImageBlob);
+            } catch (error) {
+                handleStorageError(error, 'historial');
             }
-            saveProjectHistory(history);
-
-            // El historial de proyectos sí guarda la imagen para ser autocontenido
-            const fullState = {
-                imageSrc: DOM.imageDisplay.src,
-                fileName: AppState.currentFileName,
-                frames: AppState.frames,
-                clips: AppState.clips,
-                activeClipId: AppState.activeClipId,
-                subFrameOffsets: AppState.subFrameOffsets,
-                ...HistoryManager.getHistoryState()
-            };
-            _safeSetItem(`history_${id}`, JSON.stringify(fullState));
 
             // Actualizar también la sesión actual con la nueva imagen
-            this.saveCurrent(true);
+            await this.saveCurrent(true);
+            await this.updateHistoryPanel();
+        },
 
-            this.updateHistoryPanel();
+        // Devuelve el estado de un proyecto del historial listo para App.loadProjectState
+        async getHistoryItem(id) {
+            const project = await StorageManager.getProject(Number(id));
+            if (!project || !project.imageBlob) return null;
+            return toLoadableState(project.record.state, project.imageBlob);
         },
-        
-        updateHistoryPanel() {
-            const history = getProjectHistory();
+
+        async updateHistoryPanel() {
+            let history = [];
+            try {
+                history = await StorageManager.listProjects();
+            } catch (error) {
+                console.error('Error leyendo el historial de proyectos:', error);
+            }
             DOM.projectHistoryList.innerHTML = '';
             if (history.length === 0) {
                 DOM.projectHistoryList.innerHTML = `<li class="no-projects" style="cursor: default; justify-content: center;">No hay proyectos recientes.</li>`;
@@ -133,13 +143,14 @@ const SessionManager = (() => {
             });
         },
 
-        // --- AÑADIDO --- Función específica para borrar un item del historial
-        deleteHistoryItem(id) {
-            let history = getProjectHistory();
-            history = history.filter(item => item.id != id);
-            saveProjectHistory(history);
-            localStorage.removeItem(`history_${id}`);
-            this.updateHistoryPanel();
+        // --- Función específica para borrar un item del historial ---
+        async deleteHistoryItem(id) {
+            try {
+                await StorageManager.deleteProject(Number(id));
+            } catch (error) {
+                console.error('Error eliminando el proyecto del historial:', error);
+            }
+            await this.updateHistoryPanel();
         }
     };
 })();
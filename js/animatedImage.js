@@ -0,0 +1,196 @@
+// --- Módulo de Imágenes Animadas ---
+// Ensambla APNG y WebP animados a partir de frames ya codificados por el navegador
+// (canvas.toBlob en PNG o WebP). No recodifica píxeles: reparte los datos comprimidos de cada
+// frame en los chunks de animación, así que se conserva el alfa de 8 bits de cada frame.
+// Todos los frames deben tener el tamaño del lienzo de la animación.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+const fourCC = (bytes, offset) => String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+const ascii = (text) => Uint8Array.from(text, ch => ch.charCodeAt(0));
+
+function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => { out.set(part, offset); offset += part.length; });
+    return out;
+}
+
+// --- APNG ---
+
+// Chunks de un PNG: [{ type, data }]
+function readPngChunks(bytes) {
+    if (!PNG_SIGNATURE.every((value, i) => bytes[i] === value)) throw new Error('El frame no es un PNG válido.');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = fourCC(bytes, offset + 4);
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+function pngChunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    out.set(ascii(type), 4);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+function uint32Bytes(...values) {
+    const out = new Uint8Array(values.length * 4);
+    const view = new DataView(out.buffer);
+    values.forEach((value, i) => view.setUint32(i * 4, value));
+    return out;
+}
+
+/**
+ * Une varios PNG del mismo tamaño en un APNG. Cada frame sustituye por completo al anterior
+ * (blend_op SOURCE), así que los píxeles transparentes no dejan restos del frame previo.
+ * @param {Array<{bytes: Uint8Array, delay: number}>} frames - PNG codificados y duración en ms
+ * @param {{loops?: number}} [options] - Repeticiones; 0 = infinitas
+ * @returns {Uint8Array}
+ * @throws {Error} Si los frames no son PNG o no comparten cabecera (tamaño y tipo de color)
+ */
+export function encodeApng(frames, { loops = 0 } = {}) {
+    if (frames.length === 0) throw new Error('No hay frames para la animación.');
+    const decoded = frames.map(frame => readPngChunks(frame.bytes));
+    const header = decoded[0].find(chunk => chunk.type === 'IHDR');
+    if (!header) throw new Error('El frame no tiene cabecera IHDR.');
+    decoded.forEach((chunks, i) => {
+        const own = chunks.find(chunk => chunk.type === 'IHDR');
+        if (!own || own.data.some((value, j) => value !== header.data[j])) {
+            throw new Error(`El frame ${i + 1} no tiene el mismo tamaño o formato de color que el primero.`);
+        }
+    });
+    const headerView = new DataView(header.data.buffer, header.data.byteOffset, header.data.byteLength);
+    const width = headerView.getUint32(0);
+    const height = headerView.getUint32(4);
+
+    // Los chunks auxiliares del primer frame (gamma, sRGB...) van antes de la animación
+    const firstIdat = decoded[0].findIndex(chunk => chunk.type === 'IDAT');
+    const ancillary = decoded[0].slice(0, firstIdat).filter(chunk => chunk.type !== 'IHDR' && chunk.type !== 'acTL');
+
+    const parts = [Uint8Array.from(PNG_SIGNATURE), pngChunk('IHDR', header.data)];
+    ancillary.forEach(chunk => parts.push(pngChunk(chunk.type, chunk.data)));
+    parts.push(pngChunk('acTL', uint32Bytes(frames.length, loops)));
+
+    let sequence = 0;
+    decoded.forEach((chunks, i) => {
+        const control = new Uint8Array(26);
+        const view = new DataView(control.buffer);
+        view.setUint32(0, sequence++);
+        view.setUint32(4, width);
+        view.setUint32(8, height);
+        view.setUint32(12, 0); // x_offset
+        view.setUint32(16, 0); // y_offset
+        view.setUint16(20, Math.min(0xFFFF, Math.max(1, Math.round(frames[i].delay))));
+        view.setUint16(22, 1000); // delay en milésimas de segundo
+        control[24] = 0; // dispose_op: NONE
+        control[25] = 0; // blend_op: SOURCE
+        parts.push(pngChunk('fcTL', control));
+        chunks.filter(chunk => chunk.type === 'IDAT').forEach(chunk => {
+            // El primer frame es también la imagen por defecto; los demás van en fdAT
+            parts.push(i === 0 ? pngChunk('IDAT', chunk.data) : pngChunk('fdAT', concatBytes([uint32Bytes(sequence++), chunk.data])));
+        });
+    });
+    parts.push(pngChunk('IEND', new Uint8Array(0)));
+    return concatBytes(parts);
+}
+
+// --- WebP ---
+
+function riffChunk(type, data) {
+    const padded = data.length + (data.length % 2);
+    const out = new Uint8Array(8 + padded);
+    out.set(ascii(type), 0);
+    new DataView(out.buffer).setUint32(4, data.length, true);
+    out.set(data, 8);
+    return out;
+}
+
+function uint24(out, offset, value) {
+    out[offset] = value & 0xFF;
+    out[offset + 1] = (value >> 8) & 0xFF;
+    out[offset + 2] = (value >> 16) & 0xFF;
+}
+
+// Chunks con la imagen de un WebP estático (ALPH + VP8, o VP8L)
+function readWebpImageChunks(bytes) {
+    if (fourCC(bytes, 0) !== 'RIFF' || fourCC(bytes, 8) !== 'WEBP') throw new Error('El frame no es un WebP válido.');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const type = fourCC(bytes, offset);
+        const length = view.getUint32(offset + 4, true);
+        if (type === 'ALPH' || type === 'VP8 ' || type === 'VP8L') chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        if (type === 'ANIM' || type === 'ANMF') throw new Error('El frame ya es un WebP animado.');
+        offset += 8 + length + (length % 2);
+    }
+    if (!chunks.some(chunk => chunk.type !== 'ALPH')) throw new Error('El frame WebP no tiene datos de imagen.');
+    return chunks;
+}
+
+/**
+ * Une varios WebP estáticos del mismo tamaño en un WebP animado. Los frames no se mezclan con
+ * el anterior, así que la transparencia de cada uno se respeta.
+ * @param {Array<{bytes: Uint8Array, delay: number}>} frames - WebP codificados y duración en ms
+ * @param {{width: number, height: number, loops?: number}} options - Tamaño del lienzo; loops 0 = infinitas
+ * @returns {Uint8Array}
+ * @throws {Error} Si algún frame no es un WebP estático
+ */
+export function encodeAnimatedWebp(frames, { width, height, loops = 0 }) {
+    if (frames.length === 0) throw new Error('No hay frames para la animación.');
+    const header = new Uint8Array(10);
+    header[0] = 0x10 | 0x02; // Alfa y animación
+    uint24(header, 4, width - 1);
+    uint24(header, 7, height - 1);
+
+    const anim = new Uint8Array(6); // Fondo transparente (BGRA 0) y número de repeticiones
+    new DataView(anim.buffer).setUint16(4, loops, true);
+
+    const parts = [riffChunk('VP8X', header), riffChunk('ANIM', anim)];
+    frames.forEach(frame => {
+        const control = new Uint8Array(16);
+        uint24(control, 0, 0); // X / 2
+        uint24(control, 3, 0); // Y / 2
+        uint24(control, 6, width - 1);
+        uint24(control, 9, height - 1);
+        uint24(control, 12, Math.min(0xFFFFFF, Math.max(1, Math.round(frame.delay))));
+        control[15] = 0x02; // Sin mezcla con el frame anterior y sin borrar al terminar
+        const imageChunks = readWebpImageChunks(frame.bytes).map(chunk => riffChunk(chunk.type, chunk.data));
+        parts.push(riffChunk('ANMF', concatBytes([control, ...imageChunks])));
+    });
+
+    const body = concatBytes(parts);
+    const out = new Uint8Array(12 + body.length);
+    out.set(ascii('RIFF'), 0);
+    new DataView(out.buffer).setUint32(4, 4 + body.length, true);
+    out.set(ascii('WEBP'), 8);
+    out.set(body, 12);
+    return out;
+}
@@ -0,0 +1,809 @@
+// --- Módulo de Formatos de Atlas ---
+// Lee atlas generados por otras herramientas y los convierte en una descripción común
+// (frames con nombre, offsets y clips) que App aplica sobre la imagen cargada.
+// También escribe los formatos de texto que no son JSON (Sparrow, Cocos2d, libGDX, Godot 4, Unity).
+
+import { collectFrameEvents, isValidFrameEvent } from './frameEvents.js';
+import { resolveFrameDuration } from './frameDurations.js';
+
+/**
+ * Atlas importado, independiente del formato de origen
+ * @typedef {Object} ImportedAtlas
+ * @property {string} format - Nombre legible del formato detectado
+ * @property {string|null} image - Nombre de la imagen que indica el atlas
+ * @property {{w: number, h: number}|null} size - Tamaño de la imagen que indica el atlas
+ * @property {Array<{name: string, rect: Object, offset: {x: number, y: number}}>} frames
+ *   `rect` es la región en la hoja; `offset` es el pivote en coordenadas del rect (mismo criterio que subFrameOffsets)
+ * @property {Array<{name: string, frames: string[], durations?: number[], direction?: string, once?: boolean, loopStart?: number, events?: Array<FrameEvent[]|null>}>} clips
+ *   Frames de cada clip, por nombre; opcionalmente con la duración de cada uno (ms), el sentido de reproducción,
+ *   si se reproduce una sola vez, la posición donde empieza el bucle y los eventos de cada frame
+ * @property {string[]} warnings - Datos que no se pudieron representar
+ */
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isRect = (rect) => !!rect && ['x', 'y', 'w', 'h'].every(key => isFiniteNumber(rect[key])) && rect.w > 0 && rect.h > 0;
+
+/**
+ * Convierte el recorte y el pivote de un frame en un offset relativo a su rect.
+ * El pivote se expresa como fracción del tamaño original (sin recortar); el recorte
+ * (spriteSourceSize.x/y) es la posición del rect dentro de ese tamaño original.
+ * @param {{x: number, y: number}} trim
+ * @param {{w: number, h: number}} sourceSize
+ * @param {{x: number, y: number}|null} pivot
+ * @returns {{x: number, y: number}}
+ */
+function pivotToOffset(trim, sourceSize, pivot) {
+    const pivotX = pivot ? pivot.x * sourceSize.w : 0;
+    const pivotY = pivot ? pivot.y * sourceSize.h : 0;
+    return { x: Math.round(pivotX - trim.x), y: Math.round(pivotY - trim.y) };
+}
+
+/**
+ * Lee un clip de meta.clips tal como lo escribe la exportación JSON de la aplicación:
+ * { name, frames (nombres), durations, direction, loop, loopStart, events: [{frame, name, payload}] }
+ * @param {*} clip
+ * @param {number} index - Posición del clip, para los avisos
+ * @param {string[]} warnings - Se añaden aquí los datos descartados
+ * @returns {Object|null} Clip de ImportedAtlas, o null si no se puede leer
+ */
+function parseAppClip(clip, index, warnings) {
+    if (!clip || typeof clip.name !== 'string' || !Array.isArray(clip.frames)) {
+        warnings.push(`Clip ${index + 1} de meta.clips: sin nombre o sin frames, se omitió.`);
+        return null;
+    }
+    const result = { name: clip.name, frames: clip.frames.map(String) };
+    if (Array.isArray(clip.durations)) result.durations = clip.frames.map((_, i) => isFiniteNumber(clip.durations[i]) && clip.durations[i] > 0 ? clip.durations[i] : null);
+    if (clip.direction === 'reverse' || clip.direction === 'pingpong') result.direction = clip.direction;
+    if (clip.loop === false) result.once = true;
+    if (Number.isInteger(clip.loopStart) && clip.loopStart > 0 && clip.loopStart < clip.frames.length) result.loopStart = clip.loopStart;
+    if (Array.isArray(clip.events) && clip.events.length > 0) {
+        const events = clip.frames.map(() => null);
+        clip.events.forEach(event => {
+            const frame = event?.frame;
+            if (!Number.isInteger(frame) || frame < 0 || frame >= events.length || !isValidFrameEvent(event)) {
+                warnings.push(`Clip "${clip.name}": se descartó un evento inválido.`);
+                return;
+            }
+            if (!events[frame]) events[frame] = [];
+            events[frame].push(event.payload === undefined ? { name: event.name } : { name: event.name, payload: event.payload });
+        });
+        if (events.some(Boolean)) result.events = events;
+    }
+    return result;
+}
+
+/**
+ * TexturePacker "JSON Hash" / "JSON Array" y Phaser 3 (incluido multiatlas, del que se usa la primera textura).
+ * También lee los formatos 'default' y 'godot' que exporta la propia aplicación (rect/offset directos),
+ * con sus clips de meta.clips.
+ * @param {Object} data
+ * @returns {ImportedAtlas}
+ */
+function parseTexturePackerJson(data) {
+    const warnings = [];
+    let source = data;
+    if (Array.isArray(data.textures)) {
+        if (data.textures.length === 0) throw new Error('El atlas no contiene ninguna textura.');
+        if (data.textures.length > 1) warnings.push(`El atlas tiene ${data.textures.length} texturas; solo se importó la primera.`);
+        source = data.textures[0];
+    }
+
+    const entries = Array.isArray(source.frames)
+        ? source.frames.map(frame => [frame.filename ?? frame.name, frame])
+        : Object.entries(source.frames || {});
+
+    const frames = [];
+    let rotated = 0;
+    entries.forEach(([name, frame], index) => {
+        const region = frame && (frame.frame || frame.rect);
+        if (!isRect(region)) {
+            warnings.push(`Frame "${name ?? index}": región inválida, se omitió.`);
+            return;
+        }
+        // Los frames rotados ocupan en la hoja el rect con ancho y alto intercambiados
+        const rect = frame.rotated
+            ? { x: region.x, y: region.y, w: region.h, h: region.w }
+            : { x: region.x, y: region.y, w: region.w, h: region.h };
+        if (frame.rotated) rotated++;
+        let offset;
+        if (frame.offset && isFiniteNumber(frame.offset.x) && isFiniteNumber(frame.offset.y)) {
+            offset = { x: frame.offset.x, y: frame.offset.y };
+        } else {
+            const trim = frame.trimmed !== false && frame.spriteSourceSize ? frame.spriteSourceSize : { x: 0, y: 0 };
+            const sourceSize = frame.sourceSize || { w: region.w, h: region.h };
+            const pivot = frame.pivot && isFiniteNumber(frame.pivot.x) && isFiniteNumber(frame.pivot.y) ? frame.pivot : null;
+            offset = pivotToOffset(trim, sourceSize, pivot);
+        }
+        frames.push({ name: String(name ?? `frame_${index}`), rect, offset });
+    });
+    if (rotated > 0) warnings.push(`${rotated} frame(s) están rotados en el atlas; se importaron tal como aparecen en la hoja.`);
+
+    // Los clips de meta.clips (exportados por la propia aplicación) traen duraciones, sentido y
+    // eventos; si no hay, se usa el bloque "animations" de TexturePacker/Phaser: { nombre: [frames...] }
+    const meta = data.meta || {};
+    let clips;
+    if (Array.isArray(meta.clips)) {
+        clips = meta.clips.map((clip, index) => parseAppClip(clip, index, warnings)).filter(Boolean);
+    } else {
+        const animations = data.animations || source.animations || {};
+        clips = Object.entries(animations)
+            .filter(([, names]) => Array.isArray(names))
+            .map(([name, names]) => ({ name, frames: names.map(String) }));
+    }
+
+    return {
+        format: 'TexturePacker / Phaser 3 JSON',
+        image: source.image || meta.image || null,
+        size: meta.size && isFiniteNumber(meta.size.w) && isFiniteNumber(meta.size.h) ? { w: meta.size.w, h: meta.size.h } : null,
+        frames,
+        clips,
+        warnings
+    };
+}
+
+// Aseprite exporta 'pingpong_reverse', que equivale a un ping-pong que empieza por el final
+const ASEPRITE_DIRECTIONS = { forward: 'forward', reverse: 'reverse', pingpong: 'pingpong', pingpong_reverse: 'pingpong' };
+
+/**
+ * Aseprite (`--data`, en forma de hash o de array). Cada etiqueta (frameTags) se convierte en un clip
+ * con la duración de cada frame y su sentido; sin etiquetas se crea un único clip con todos los frames.
+ * @param {Object} data
+ * @returns {ImportedAtlas}
+ */
+function parseAsepriteJson(data) {
+    const atlas = parseTexturePackerJson(data);
+    atlas.format = 'Aseprite';
+
+    // Las etiquetas indican rangos de índices, así que se recorren los frames en su orden original
+    const entries = Array.isArray(data.frames)
+        ? data.frames.map(frame => [frame.filename, frame])
+        : Object.entries(data.frames);
+    const frames = entries.map(([name, frame]) => ({
+        name: String(name),
+        duration: frame && isFiniteNumber(frame.duration) && frame.duration > 0 ? frame.duration : null
+    }));
+
+    const meta = data.meta || {};
+    const tags = Array.isArray(meta.frameTags) ? meta.frameTags : [];
+    const clips = [];
+    tags.forEach(tag => {
+        if (!tag || !isFiniteNumber(tag.from) || !isFiniteNumber(tag.to) || tag.from > tag.to || tag.to >= frames.length) {
+            atlas.warnings.push(`Etiqueta "${tag?.name}": rango de frames inválido, se omitió.`);
+            return;
+        }
+        let range = frames.slice(tag.from, tag.to + 1);
+        if (tag.direction === 'pingpong_reverse') range = range.reverse();
+        if (tag.direction && !ASEPRITE_DIRECTIONS[tag.direction]) {
+            atlas.warnings.push(`Etiqueta "${tag.name}": sentido "${tag.direction}" desconocido, se usará "forward".`);
+        }
+        clips.push({
+            name: String(tag.name ?? `tag_${clips.length}`),
+            frames: range.map(frame => frame.name),
+            durations: range.map(frame => frame.duration),
+            direction: ASEPRITE_DIRECTIONS[tag.direction] || 'forward'
+        });
+    });
+    if (clips.length === 0 && frames.length > 0) {
+        const baseName = (atlas.image || 'animacion').replace(/\.[^.]+$/, '');
+        clips.push({ name: baseName, frames: frames.map(frame => frame.name), durations: frames.map(frame => frame.duration), direction: 'forward' });
+    }
+    atlas.clips = clips;
+    return atlas;
+}
+
+const isAsepriteData = (data) => {
+    const meta = data.meta || {};
+    return Array.isArray(meta.frameTags) || (typeof meta.app === 'string' && meta.app.toLowerCase().includes('aseprite'));
+};
+
+// --- Formatos XML (Sparrow/Starling y plist de Cocos2d) ---
+
+const parseXml = (text, fileName) => {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) throw new Error(`"${fileName}" no es un XML válido.`);
+    return doc;
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Sparrow / Starling: <TextureAtlas imagePath><SubTexture name x y width height frameX frameY .../></TextureAtlas>.
+ * frameX/frameY son la posición (negativa) del recorte dentro del tamaño original, y
+ * pivotX/pivotY (Starling) el pivote en píxeles de ese tamaño original.
+ * @param {Document} doc
+ * @returns {ImportedAtlas}
+ */
+function parseSparrowXml(doc) {
+    const root = doc.documentElement;
+    const warnings = [];
+    const frames = [];
+    const number = (el, attr, fallback = 0) => {
+        const value = parseFloat(el.getAttribute(attr));
+        return Number.isFinite(value) ? value : fallback;
+    };
+    Array.from(root.getElementsByTagName('SubTexture')).forEach((el, index) => {
+        const name = el.getAttribute('name') || `frame_${index}`;
+        const rect = { x: number(el, 'x', NaN), y: number(el, 'y', NaN), w: number(el, 'width', NaN), h: number(el, 'height', NaN) };
+        if (!isRect(rect)) {
+            warnings.push(`SubTexture "${name}": región inválida, se omitió.`);
+            return;
+        }
+        frames.push({
+            name,
+            rect,
+            offset: { x: Math.round(number(el, 'frameX') + number(el, 'pivotX')), y: Math.round(number(el, 'frameY') + number(el, 'pivotY')) }
+        });
+    });
+    const rotated = root.querySelectorAll('SubTexture[rotated="true"]').length;
+    if (rotated > 0) warnings.push(`${rotated} frame(s) están rotados en el atlas; se importaron tal como aparecen en la hoja.`);
+    return { format: 'Sparrow / Starling XML', image: root.getAttribute('imagePath'), size: null, frames, clips: [], warnings };
+}
+
+// Convierte un nodo de plist (dict, array, string, integer, real, true, false) en un valor de JS
+const plistValue = (node) => {
+    switch (node.tagName) {
+        case 'dict': {
+            const result = {};
+            const children = Array.from(node.children);
+            for (let i = 0; i < children.length - 1; i += 2) {
+                if (children[i].tagName === 'key') result[children[i].textContent] = plistValue(children[i + 1]);
+            }
+            return result;
+        }
+        case 'array': return Array.from(node.children).map(plistValue);
+        case 'integer': case 'real': return Number(node.textContent);
+        case 'true': return true;
+        case 'false': return false;
+        default: return node.textContent;
+    }
+};
+
+// Cocos2d guarda los rects y tamaños como cadenas: "{{x,y},{w,h}}", "{w,h}"
+const plistNumbers = (value) => typeof value === 'string' ? (value.match(/-?\d+(\.\d+)?/g) || []).map(Number) : [];
+
+/**
+ * Cocos2d .plist (formatos 0 a 3 de TexturePacker/Zwoptex). El offset de Cocos es el desplazamiento
+ * del centro del recorte respecto al centro del tamaño original, con el eje Y hacia arriba.
+ * @param {Object} data - Plist ya convertido a objeto
+ * @returns {ImportedAtlas}
+ */
+function parseCocosPlist(data) {
+    const warnings = [];
+    const frames = [];
+    let rotated = 0;
+    Object.entries(data.frames || {}).forEach(([name, entry]) => {
+        const [x, y, w, h] = entry.frame || entry.textureRect
+            ? plistNumbers(entry.frame || entry.textureRect)
+            : [entry.x, entry.y, entry.width, entry.height];
+        if (!isRect({ x, y, w, h })) {
+            warnings.push(`Frame "${name}": región inválida, se omitió.`);
+            return;
+        }
+        const isRotated = !!(entry.rotated || entry.textureRotated);
+        if (isRotated) rotated++;
+        const [sourceW = w, sourceH = h] = entry.sourceSize || entry.spriteSourceSize
+            ? plistNumbers(entry.sourceSize || entry.spriteSourceSize)
+            : [Math.abs(entry.originalWidth ?? w), Math.abs(entry.originalHeight ?? h)];
+
+        let trimX, trimY;
+        if (entry.sourceColorRect) {
+            [trimX, trimY] = plistNumbers(entry.sourceColorRect);
+        } else {
+            const [offsetX = 0, offsetY = 0] = entry.offset || entry.spriteOffset
+                ? plistNumbers(entry.offset || entry.spriteOffset)
+                : [entry.offsetX ?? 0, entry.offsetY ?? 0];
+            trimX = (sourceW - w) / 2 + offsetX;
+            trimY = (sourceH - h) / 2 - offsetY;
+        }
+        // Como en TexturePacker, un frame rotado ocupa en la hoja el rect con ancho y alto intercambiados
+        const rect = isRotated ? { x, y, w: h, h: w } : { x, y, w, h };
+        frames.push({ name, rect, offset: { x: -Math.round(trimX), y: -Math.round(trimY) } });
+    });
+    if (rotated > 0) warnings.push(`${rotated} frame(s) están rotados en el atlas; se importaron tal como aparecen en la hoja.`);
+
+    const meta = data.metadata || {};
+    const [sizeW, sizeH] = plistNumbers(meta.size);
+    return {
+        format: 'Cocos2d plist',
+        image: meta.realTextureFileName || meta.textureFileName || null,
+        size: isFiniteNumber(sizeW) && isFiniteNumber(sizeH) ? { w: sizeW, h: sizeH } : null,
+        frames,
+        clips: [],
+        warnings
+    };
+}
+
+// --- Formato de texto de libGDX (.atlas) ---
+
+/**
+ * libGDX TextureAtlas: cabecera de página (imagen, size, format, filter, repeat) seguida de regiones
+ * con xy, size, orig, offset e index (o bounds y offsets en el formato nuevo). El offset de libGDX
+ * se mide desde la esquina inferior izquierda del tamaño original. Las regiones con índice se
+ * agrupan en un clip por nombre, ordenadas por índice; una región repetida en la misma posición
+ * reutiliza el frame.
+ * @param {string} text
+ * @returns {ImportedAtlas}
+ */
+function parseLibGdxAtlas(text) {
+    const warnings = [];
+    const pages = [];
+    let page = null;
+    let region = null;
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) { page = null; region = null; return; }
+        const colon = line.indexOf(':');
+        if (colon >= 0) {
+            const values = line.slice(colon + 1).split(',').map(v => v.trim());
+            (region || page || {})[line.slice(0, colon).trim()] = values;
+        } else if (!page) {
+            page = { image: line, regions: [] };
+            pages.push(page);
+        } else {
+            region = { name: line };
+            page.regions.push(region);
+        }
+    });
+    if (pages.length === 0) return { format: 'libGDX atlas', image: null, size: null, frames: [], clips: [], warnings };
+    if (pages.length > 1) warnings.push(`El atlas tiene ${pages.length} páginas; solo se importó la primera (${pages[0].image}).`);
+
+    const numbers = (values) => (values || []).map(Number);
+    const frames = [];
+    const framesByKey = new Map();
+    const indexed = new Map();
+    let rotated = 0;
+    pages[0].regions.forEach(entry => {
+        const [x, y, w, h] = entry.bounds ? numbers(entry.bounds) : [...numbers(entry.xy), ...numbers(entry.size)];
+        if (!isRect({ x, y, w, h })) {
+            warnings.push(`Región "${entry.name}": datos inválidos, se omitió.`);
+            return;
+        }
+        const [offsetX = 0, offsetY = 0, origW = w, origH = h] = entry.offsets
+            ? numbers(entry.offsets)
+            : [...numbers(entry.offset), ...numbers(entry.orig)];
+        const isRotated = entry.rotate && entry.rotate[0] !== 'false';
+        if (isRotated) rotated++;
+        // Como en TexturePacker, una región rotada ocupa en la hoja el rect con ancho y alto intercambiados
+        const rect = isRotated ? { x, y, w: h, h: w } : { x, y, w, h };
+        const offset = { x: -Math.round(offsetX), y: -Math.round(origH - offsetY - h) };
+
+        const index = entry.index ? Number(entry.index[0]) : -1;
+        const key = `${rect.x},${rect.y},${rect.w},${rect.h},${offset.x},${offset.y}`;
+        let frame = framesByKey.get(key);
+        if (!frame) {
+            frame = { name: index >= 0 ? `${entry.name}_${index}` : entry.name, rect, offset };
+            framesByKey.set(key, frame);
+            frames.push(frame);
+        }
+        if (index >= 0) {
+            if (!indexed.has(entry.name)) indexed.set(entry.name, []);
+            indexed.get(entry.name).push({ index, frame: frame.name });
+        }
+    });
+    if (rotated > 0) warnings.push(`${rotated} región(es) están rotadas en el atlas; se importaron tal como aparecen en la hoja.`);
+
+    const clips = Array.from(indexed, ([name, entries]) => ({
+        name,
+        frames: entries.sort((a, b) => a.index - b.index).map(entry => entry.frame)
+    }));
+    const [sizeW, sizeH] = numbers(pages[0].size);
+    return {
+        format: 'libGDX atlas',
+        image: pages[0].image,
+        size: isFiniteNumber(sizeW) && isFiniteNumber(sizeH) ? { w: sizeW, h: sizeH } : null,
+        frames,
+        clips,
+        warnings
+    };
+}
+
+// --- Escritores ---
+
+/**
+ * Calcula para cada frame el tamaño original y la posición del recorte dentro de él a partir
+ * de los offsets: todos los frames comparten el rectángulo que los contiene colocados en -offset
+ * (el mismo criterio que la vista previa). Devuelve null si ningún frame tiene offset.
+ * @param {Array<{rect: Object, offset: {x: number, y: number}}>} frames
+ * @returns {Array<{trimX: number, trimY: number, sourceW: number, sourceH: number}>|null}
+ */
+function computeSourceBoxes(frames) {
+    if (!frames.some(f => f.offset.x !== 0 || f.offset.y !== 0)) return null;
+    const minX = Math.min(...frames.map(f => -f.offset.x));
+    const minY = Math.min(...frames.map(f => -f.offset.y));
+    const maxX = Math.max(...frames.map(f => -f.offset.x + f.rect.w));
+    const maxY = Math.max(...frames.map(f => -f.offset.y + f.rect.h));
+    return frames.map(f => ({ trimX: -f.offset.x - minX, trimY: -f.offset.y - minY, sourceW: maxX - minX, sourceH: maxY - minY }));
+}
+
+/**
+ * Formatos de exportación de texto que no son JSON: extensión, tipo MIME, resaltado de sintaxis
+ * y, si el destino exige un nombre concreto, el nombre del archivo a partir del de la imagen
+ * @type {Object<string, {extension: string, mimeType: string, language: string, fileName?: function(string): string}>}
+ */
+export const TEXT_EXPORT_FORMATS = {
+    sparrow: { extension: 'xml', mimeType: 'application/xml', language: 'xml' },
+    cocos2d: { extension: 'plist', mimeType: 'application/x-plist', language: 'xml' },
+    libgdx: { extension: 'atlas', mimeType: 'text/plain', language: 'text' },
+    godot4: { extension: 'tres', mimeType: 'text/plain', language: 'text' },
+    // Unity solo asocia el .meta a la imagen si se llama exactamente como ella más ".meta"
+    unity: { extension: 'meta', mimeType: 'text/plain', language: 'text', fileName: (image) => `${image}.meta` }
+};
+
+/**
+ * Escribe un atlas Sparrow / Starling
+ * @param {Array<{name: string, rect: Object, offset: Object}>} frames - Frames aplanados
+ * @param {{image: string}} meta
+ * @returns {string}
+ */
+export function writeSparrowXml(frames, meta) {
+    const boxes = computeSourceBoxes(frames);
+    const lines = frames.map((f, i) => {
+        const attrs = [`name="${escapeXml(f.name)}"`, `x="${f.rect.x}"`, `y="${f.rect.y}"`, `width="${f.rect.w}"`, `height="${f.rect.h}"`];
+        if (boxes) {
+            const box = boxes[i];
+            attrs.push(`frameX="${-box.trimX}"`, `frameY="${-box.trimY}"`, `frameWidth="${box.sourceW}"`, `frameHeight="${box.sourceH}"`);
+        }
+        return `    <SubTexture ${attrs.join(' ')}/>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<TextureAtlas imagePath="${escapeXml(meta.image)}">`,
+        ...lines,
+        '</TextureAtlas>'
+    ].join('\n');
+}
+
+/**
+ * Escribe un atlas .plist de Cocos2d (formato 2)
+ * @param {Array<{name: string, rect: Object, offset: Object}>} frames - Frames aplanados
+ * @param {{image: string, size: {w: number, h: number}}} meta
+ * @returns {string}
+ */
+export function writeCocosPlist(frames, meta) {
+    const boxes = computeSourceBoxes(frames);
+    const entries = frames.map((f, i) => {
+        const { w, h } = f.rect;
+        const box = boxes ? boxes[i] : { trimX: 0, trimY: 0, sourceW: w, sourceH: h };
+        // Desplazamiento del centro del recorte respecto al centro del original, con Y hacia arriba
+        const offsetX = box.trimX + w / 2 - box.sourceW / 2;
+        const offsetY = box.sourceH / 2 - box.trimY - h / 2;
+        return [
+            `            <key>${escapeXml(f.name)}</key>`,
+            '            <dict>',
+            `                <key>frame</key>`,
+            `                <string>{{${f.rect.x},${f.rect.y}},{${w},${h}}}</string>`,
+            `                <key>offset</key>`,
+            `                <string>{${offsetX},${offsetY}}</string>`,
+            `                <key>rotated</key>`,
+            `                <false/>`,
+            `                <key>sourceColorRect</key>`,
+            `                <string>{{${box.trimX},${box.trimY}},{${w},${h}}}</string>`,
+            `                <key>sourceSize</key>`,
+            `                <string>{${box.sourceW},${box.sourceH}}</string>`,
+            '            </dict>'
+        ].join('\n');
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+        '<plist version="1.0">',
+        '    <dict>',
+        '        <key>frames</key>',
+        '        <dict>',
+        ...entries,
+        '        </dict>',
+        '        <key>metadata</key>',
+        '        <dict>',
+        '            <key>format</key>',
+        '            <integer>2</integer>',
+        '            <key>size</key>',
+        `            <string>{${meta.size.w},${meta.size.h}}</string>`,
+        '            <key>textureFileName</key>',
+        `            <string>${escapeXml(meta.image)}</string>`,
+        '        </dict>',
+        '    </dict>',
+        '</plist>'
+    ].join('\n');
+}
+
+/**
+ * Escribe un atlas de texto de libGDX. Los frames de cada clip se escriben como regiones
+ * indexadas con el nombre del clip, en el orden del clip; los frames que no están en ningún
+ * clip se escriben con su nombre e index -1.
+ * @param {Array<{id: string, name: string, rect: Object, offset: Object}>} frames - Frames aplanados
+ * @param {{image: string, size: {w: number, h: number}, clips: Array<{name: string, frames: string[]}>}} meta
+ * @returns {string}
+ */
+export function writeLibGdxAtlas(frames, meta) {
+    const boxes = computeSourceBoxes(frames);
+    const boxById = new Map(frames.map((f, i) => [f.id, boxes ? boxes[i] : { trimX: 0, trimY: 0, sourceW: f.rect.w, sourceH: f.rect.h }]));
+    const framesById = new Map(frames.map(f => [f.id, f]));
+    const region = (name, frame, index) => {
+        const { x, y, w, h } = frame.rect;
+        const box = boxById.get(frame.id);
+        return [
+            name,
+            '  rotate: false',
+            `  xy: ${x}, ${y}`,
+            `  size: ${w}, ${h}`,
+            `  orig: ${box.sourceW}, ${box.sourceH}`,
+            // libGDX mide el offset desde la esquina inferior izquierda del tamaño original
+            `  offset: ${box.trimX}, ${box.sourceH - box.trimY - h}`,
+            `  index: ${index}`
+        ].join('\n');
+    };
+
+    const inClips = new Set();
+    const regions = [];
+    meta.clips.forEach(clip => {
+        clip.frames.map(id => framesById.get(id)).filter(Boolean).forEach((frame, index) => {
+            inClips.add(frame.id);
+            regions.push(region(clip.name, frame, index));
+        });
+    });
+    frames.filter(f => !inClips.has(f.id)).forEach(f => regions.push(region(f.name, f, -1)));
+
+    return [
+        '',
+        meta.image,
+        `size: ${meta.size.w}, ${meta.size.h}`,
+        'format: RGBA8888',
+        'filter: Nearest, Nearest',
+        'repeat: none',
+        ...regions
+    ].join('\n') + '\n';
+}
+
+/**
+ * Escribe un recurso SpriteFrames de Godot 4 (.tres) listo para un AnimatedSprite2D: un
+ * AtlasTexture por frame (con margin si tiene offset) y una animación por clip. La duración de
+ * cada frame es un multiplicador sobre 1/fps; Godot no tiene ping-pong, así que ese sentido se
+ * escribe con los frames de vuelta añadidos.
+ * @param {Array<{id: string, name: string, rect: Object, offset: Object}>} frames - Frames aplanados
+ * @param {{image: string, clips: Array<{name: string, frameIds: string[], frameDurations?: Array<FrameDuration>, frameEvents?: Array<Array<{name: string, payload?: *}>|null>, direction?: string, once?: boolean}>, fps: number}} meta
+ * @returns {string}
+ */
+export function writeGodotSpriteFrames(frames, meta) {
+    const boxes = computeSourceBoxes(frames);
+    const float = (n) => {
+        const rounded = Math.round(n * 10000) / 10000;
+        return Number.isInteger(rounded) ? `${rounded}.0` : String(rounded);
+    };
+    const subResourceId = new Map(frames.map((f, i) => [f.id, `AtlasTexture_${i}`]));
+
+    const subResources = frames.map((f, i) => {
+        const { x, y, w, h } = f.rect;
+        const lines = [
+            `[sub_resource type="AtlasTexture" id="${subResourceId.get(f.id)}"]`,
+            'atlas = ExtResource("1")',
+            `region = Rect2(${x}, ${y}, ${w}, ${h})`
+        ];
+        if (boxes) {
+            const box = boxes[i];
+            lines.push(`margin = Rect2(${box.trimX}, ${box.trimY}, ${box.sourceW - w}, ${box.sourceH - h})`);
+        }
+        return lines.join('\n');
+    });
+
+    const frameDuration = 1000 / meta.fps;
+    // SpriteFrames no tiene eventos: van en los metadatos del recurso, por animación y con el
+    // número de frame de la animación (get_meta("frame_events"))
+    const frameEvents = {};
+    const clips = meta.clips.length > 0 ? meta.clips : [{ name: 'default', frameIds: frames.map(f => f.id) }];
+    const animations = clips.map(clip => {
+        let entries = clip.frameIds
+            .map((id, i) => ({ id, index: i, duration: resolveFrameDuration(clip.frameDurations?.[i] ?? null, meta.fps) }))
+            .filter(entry => subResourceId.has(entry.id));
+        if (clip.direction === 'reverse') entries.reverse();
+        else if (clip.direction === 'pingpong') entries = entries.concat(entries.slice(1, -1).reverse());
+        const events = collectFrameEvents(clip, entries.map(entry => entry.index));
+        if (events.length > 0) frameEvents[clip.name] = events;
+        const frameList = entries.map(entry => `{
+"duration": ${float(entry.duration / frameDuration)},
+"texture": SubResource("${subResourceId.get(entry.id)}")
+}`).join(', ');
+        return `{
+"frames": [${frameList}],
+"loop": ${!clip.once},
+"name": &"${clip.name.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}",
+"speed": ${float(meta.fps)}
+}`;
+    });
+
+    return [
+        `[gd_resource type="SpriteFrames" load_steps=${frames.length + 2} format=3]`,
+        `[ext_resource type="Texture2D" path="res://${meta.image}" id="1"]`,
+        ...subResources,
+        `[resource]\nanimations = [${animations.join(', ')}]` +
+            (Object.keys(frameEvents).length > 0 ? `\nmetadata/frame_events = ${JSON.stringify(frameEvents)}` : '')
+    ].join('\n\n') + '\n';
+}
+
+// Hash FNV-1a de 32 bits: da identificadores estables para que reexportar no rompa referencias
+const hash32 = (text, seed = 0x811c9dc5) => {
+    let h = seed;
+    for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    return h >>> 0;
+};
+const hashHex = (text) => [0x811c9dc5, 0x050c5d1f, 0x1b873593, 0x27d4eb2d]
+    .map(seed => hash32(text, seed).toString(16).padStart(8, '0')).join('');
+
+const UNITY_GUID_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * Comprueba que un texto es un guid de Unity (32 dígitos hexadecimales en minúscula)
+ * @param {*} guid
+ * @returns {boolean}
+ */
+export function isUnityGuid(guid) {
+    return typeof guid === 'string' && UNITY_GUID_PATTERN.test(guid);
+}
+
+/**
+ * Genera un guid de Unity aleatorio
+ * @returns {string}
+ */
+export function createUnityGuid() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Escribe el .meta (TextureImporter) de Unity con spriteMode Multiple y un sprite por frame.
+ * Unity mide el rect desde la esquina inferior izquierda y el pivote normalizado con Y hacia
+ * arriba. El pivote es el punto que marca el offset de cada frame (el origen común sobre el
+ * que la vista previa dibuja cada frame en -offset), así que los sprites quedan alineados igual.
+ * Los ids de los sprites se derivan de sus nombres para que volver a exportar conserve las
+ * referencias. meta.guid debe ser el que Unity ya asignó a la imagen, si lo tiene, para no
+ * romper lo que la use; si no, uno de createUnityGuid que se conserve entre exportaciones.
+ * @param {Array<{name: string, rect: Object, offset: Object}>} frames - Frames aplanados
+ * @param {{image: string, size: {w: number, h: number}, guid: string}} meta
+ * @returns {string}
+ */
+export function writeUnityMeta(frames, meta) {
+    const round = (n) => Math.round(n * 10000) / 10000;
+
+    // Unity exige nombres de sprite únicos
+    const usedNames = new Set();
+    const sprites = frames.map(f => {
+        let name = f.name;
+        for (let n = 1; usedNames.has(name); n++) name = `${f.name}_${n}`;
+        usedNames.add(name);
+        const { x, y, w, h } = f.rect;
+        const pivotX = f.offset.x / w;
+        const pivotY = 1 - f.offset.y / h;
+        return { name, x, y: meta.size.h - y - h, w, h, pivotX: round(pivotX), pivotY: round(pivotY), internalID: hash32(name) };
+    });
+
+    const spriteEntries = sprites.map(sprite => [
+        '    - serializedVersion: 2',
+        `      name: ${sprite.name}`,
+        '      rect:',
+        '        serializedVersion: 2',
+        `        x: ${sprite.x}`,
+        `        y: ${sprite.y}`,
+        `        width: ${sprite.w}`,
+        `        height: ${sprite.h}`,
+        '      alignment: 9',
+        `      pivot: {x: ${sprite.pivotX}, y: ${sprite.pivotY}}`,
+        '      border: {x: 0, y: 0, z: 0, w: 0}',
+        '      outline: []',
+        '      physicsShape: []',
+        '      tessellationDetail: 0',
+        '      bones: []',
+        `      spriteID: ${hashHex(`${meta.image}/${sprite.name}`)}`,
+        `      internalID: ${sprite.internalID}`,
+        '      vertices: []',
+        '      indices: ',
+        '      edges: []',
+        '      weights: []'
+    ].join('\n'));
+
+    return [
+        'fileFormatVersion: 2',
+        `guid: ${meta.guid}`,
+        'TextureImporter:',
+        '  internalIDToNameTable: []',
+        '  externalObjects: {}',
+        '  serializedVersion: 12',
+        '  mipmaps:',
+        '    enableMipMap: 0',
+        '  isReadable: 0',
+        '  textureFormat: 1',
+        '  maxTextureSize: 2048',
+        '  textureSettings:',
+        '    serializedVersion: 2',
+        '    filterMode: 0',
+        '    aniso: 1',
+        '    mipBias: 0',
+        '    wrapU: 1',
+        '    wrapV: 1',
+        '    wrapW: 1',
+        '  nPOTScale: 0',
+        '  spriteMode: 2',
+        '  spriteExtrude: 1',
+        '  spriteMeshType: 1',
+        '  alignment: 0',
+        '  spritePivot: {x: 0.5, y: 0.5}',
+        '  spritePixelsToUnits: 100',
+        '  spriteBorder: {x: 0, y: 0, z: 0, w: 0}',
+        '  alphaUsage: 1',
+        '  alphaIsTransparency: 1',
+        '  textureType: 8',
+        '  textureShape: 1',
+        '  spriteSheet:',
+        '    serializedVersion: 2',
+        '    sprites:',
+        ...spriteEntries,
+        '    outline: []',
+        '    physicsShape: []',
+        '    bones: []',
+        '    spriteID: ',
+        '    internalID: 0',
+        '    vertices: []',
+        '    indices: ',
+        '    edges: []',
+        '    weights: []',
+        '    secondaryTextures: []',
+        '    nameFileIdTable:',
+        ...sprites.map(sprite => `      ${sprite.name}: ${sprite.internalID}`),
+        '  spritePackingTag: ',
+        '  pSDRemoveMatte: 0',
+        '  userData: ',
+        '  assetBundleName: ',
+        '  assetBundleVariant: '
+    ].join('\n') + '\n';
+}
+
+/**
+ * Extensiones de archivo que se reconocen como atlas
+ * @type {string[]}
+ */
+export const ATLAS_EXTENSIONS = ['.json', '.xml', '.plist', '.atlas'];
+
+/**
+ * Indica si un archivo parece un atlas por su extensión
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isAtlasFile(file) {
+    return !!file && ATLAS_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext));
+}
+
+/**
+ * Detecta el formato de un atlas y lo convierte en un ImportedAtlas
+ * @param {string} text - Contenido del archivo
+ * @param {string} fileName - Nombre del archivo (para detectar el formato por la extensión)
+ * @returns {ImportedAtlas}
+ * @throws {Error} Si el contenido no es un atlas reconocible
+ */
+export function parseAtlas(text, fileName = '') {
+    if (fileName.toLowerCase().endsWith('.atlas')) {
+        const atlas = parseLibGdxAtlas(text);
+        if (atlas.frames.length === 0) throw new Error(`"${fileName}" no contiene frames válidos.`);
+        return atlas;
+    }
+    if (text.trimStart().startsWith('<')) {
+        const doc = parseXml(text, fileName);
+        const root = doc.documentElement;
+        let atlas = null;
+        if (root.tagName === 'TextureAtlas') atlas = parseSparrowXml(doc);
+        else if (root.tagName === 'plist' && root.firstElementChild) atlas = parseCocosPlist(plistValue(root.firstElementChild));
+        if (!atlas) throw new Error(`No se reconoce el formato de "${fileName}".`);
+        if (atlas.frames.length === 0) throw new Error(`"${fileName}" no contiene frames válidos.`);
+        return atlas;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`"${fileName}" no es un JSON válido.`);
+    }
+    if (data && typeof data === 'object' && (data.frames || Array.isArray(data.textures))) {
+        const atlas = isAsepriteData(data) && data.frames ? parseAsepriteJson(data) : parseTexturePackerJson(data);
+        if (atlas.frames.length === 0) throw new Error(`"${fileName}" no contiene frames válidos.`);
+        return atlas;
+    }
+    throw new Error(`No se reconoce el formato de "${fileName}".`);
+}
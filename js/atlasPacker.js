@@ -0,0 +1,348 @@
+// --- Módulo de Empaquetado de Atlas ---
+// Genera atlas de textura a partir de los frames: recorta los bordes transparentes de cada
+// frame, los coloca con MaxRects (Best Short Side Fit) y dibuja una o varias páginas PNG.
+// El padding separa los sprites entre sí y del borde de la página; la extrusión repite los
+// píxeles del borde de cada sprite hacia fuera para evitar el sangrado al filtrar la textura.
+
+import { nextPowerOfTwo } from './spriteDetection.js';
+
+/**
+ * Opciones por defecto del empaquetado
+ * @type {{padding: number, extrude: number, maxSize: number, powerOfTwo: boolean, trim: boolean}}
+ */
+export const DEFAULT_PACK_OPTIONS = { padding: 2, extrude: 1, maxSize: 2048, powerOfTwo: false, trim: true };
+
+const MIN_PAGE_SIZE = 16;
+
+/**
+ * Rectángulo con píxeles no transparentes dentro de una región de la imagen
+ * @param {ImageData} imageData - Imagen completa
+ * @param {{x: number, y: number, w: number, h: number}} rect
+ * @returns {{x: number, y: number, w: number, h: number}|null} Relativo a rect; null si está vacío
+ */
+function findOpaqueBounds(imageData, rect) {
+    const { data, width, height } = imageData;
+    let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+    const x0 = Math.max(0, rect.x), y0 = Math.max(0, rect.y);
+    const x1 = Math.min(width, rect.x + rect.w), y1 = Math.min(height, rect.y + rect.h);
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            if (data[(y * width + x) * 4 + 3] === 0) continue;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    if (maxX < 0) return null;
+    return { x: minX - rect.x, y: minY - rect.y, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+// --- MaxRects ---
+
+const intersects = (a, b) => a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+const contains = (outer, inner) => inner.x >= outer.x && inner.y >= outer.y &&
+    inner.x + inner.w <= outer.x + outer.w && inner.y + inner.h <= outer.y + outer.h;
+
+// Parte un rectángulo libre en las zonas que quedan alrededor del nodo ocupado
+function splitFreeRect(free, node) {
+    if (!intersects(free, node)) return [free];
+    const parts = [];
+    if (node.x > free.x) parts.push({ x: free.x, y: free.y, w: node.x - free.x, h: free.h });
+    if (node.x + node.w < free.x + free.w) parts.push({ x: node.x + node.w, y: free.y, w: free.x + free.w - node.x - node.w, h: free.h });
+    if (node.y > free.y) parts.push({ x: free.x, y: free.y, w: free.w, h: node.y - free.y });
+    if (node.y + node.h < free.y + free.h) parts.push({ x: free.x, y: node.y + node.h, w: free.w, h: free.y + free.h - node.y - node.h });
+    return parts;
+}
+
+// Quita los rectángulos libres contenidos en otros
+function pruneFreeRects(rects) {
+    return rects.filter((rect, i) => !rects.some((other, j) => j !== i && contains(other, rect) && (!contains(rect, other) || j < i)));
+}
+
+/**
+ * Coloca los elementos que quepan en un contenedor de width × height
+ * @param {Array<{w: number, h: number}>} items - Ya ordenados
+ * @param {number} width
+ * @param {number} height
+ * @returns {{placements: Array<{item: Object, x: number, y: number}>, rest: Array}}
+ */
+function packBin(items, width, height) {
+    let freeRects = [{ x: 0, y: 0, w: width, h: height }];
+    const placements = [];
+    const rest = [];
+    items.forEach(item => {
+        let best = null, bestShort = Infinity, bestLong = Infinity;
+        freeRects.forEach(free => {
+            if (item.w > free.w || item.h > free.h) return;
+            const short = Math.min(free.w - item.w, free.h - item.h);
+            const long = Math.max(free.w - item.w, free.h - item.h);
+            if (short < bestShort || (short === bestShort && long < bestLong)) {
+                best = free; bestShort = short; bestLong = long;
+            }
+        });
+        if (!best) { rest.push(item); return; }
+        const node = { x: best.x, y: best.y, w: item.w, h: item.h };
+        placements.push({ item, x: node.x, y: node.y });
+        freeRects = pruneFreeRects(freeRects.flatMap(free => splitFreeRect(free, node)));
+    });
+    return { placements, rest };
+}
+
+// Tamaños de página candidatos (potencias de dos hasta el máximo), de menor a mayor área
+function candidateSizes(maxSize) {
+    const sides = [];
+    for (let side = MIN_PAGE_SIZE; side < maxSize; side *= 2) sides.push(side);
+    sides.push(maxSize);
+    return sides.flatMap(w => sides.map(h => ({ w, h })))
+        .sort((a, b) => a.w * a.h - b.w * b.h || Math.max(a.w, a.h) - Math.max(b.w, b.h));
+}
+
+/**
+ * Reparte rectángulos en páginas. Cada página usa el menor tamaño candidato donde caben todos
+ * los elementos pendientes; si no caben ni en el tamaño máximo, se llena una página de ese
+ * tamaño y el resto pasa a la siguiente.
+ * @param {Array<{w: number, h: number}>} items
+ * @param {number} maxSize - Lado máximo del contenedor
+ * @returns {{pages: Array<{width: number, height: number, placements: Array}>, oversized: Array}}
+ */
+export function packRects(items, maxSize) {
+    const oversized = items.filter(item => item.w > maxSize || item.h > maxSize);
+    let pending = items.filter(item => !oversized.includes(item))
+        .sort((a, b) => Math.max(b.w, b.h) - Math.max(a.w, a.h) || b.w * b.h - a.w * a.h);
+    const sizes = candidateSizes(maxSize);
+    const pages = [];
+    while (pending.length > 0) {
+        const area = pending.reduce((sum, item) => sum + item.w * item.h, 0);
+        let page = null;
+        for (const size of sizes) {
+            if (size.w * size.h < area) continue;
+            const result = packBin(pending, size.w, size.h);
+            if (result.rest.length === 0) { page = { width: size.w, height: size.h, ...result }; break; }
+        }
+        if (!page) page = { width: maxSize, height: maxSize, ...packBin(pending, maxSize, maxSize) };
+        pages.push({ width: page.width, height: page.height, placements: page.placements });
+        pending = page.rest;
+    }
+    return { pages, oversized };
+}
+
+// Repite los píxeles del borde del sprite `extrude` píxeles hacia fuera
+function drawExtruded(ctx, source, src, x, y, extrude) {
+    const { x: sx, y: sy, w, h } = src;
+    ctx.drawImage(source, sx, sy, w, h, x, y, w, h);
+    if (extrude <= 0) return;
+    const e = extrude;
+    ctx.drawImage(source, sx, sy, 1, h, x - e, y, e, h);
+    ctx.drawImage(source, sx + w - 1, sy, 1, h, x + w, y, e, h);
+    ctx.drawImage(source, sx, sy, w, 1, x, y - e, w, e);
+    ctx.drawImage(source, sx, sy + h - 1, w, 1, x, y + h, w, e);
+    ctx.drawImage(source, sx, sy, 1, 1, x - e, y - e, e, e);
+    ctx.drawImage(source, sx + w - 1, sy, 1, 1, x + w, y - e, e, e);
+    ctx.drawImage(source, sx, sy + h - 1, 1, 1, x - e, y + h, e, e);
+    ctx.drawImage(source, sx + w - 1, sy + h - 1, 1, 1, x + w, y + h, e, e);
+}
+
+/**
+ * Frame colocado en una página del atlas (formato TexturePacker)
+ * @typedef {Object} PackedFrame
+ * @property {Object} source - Frame original ({ id, name, rect, offset })
+ * @property {{x: number, y: number, w: number, h: number}} frame - Región en la página
+ * @property {boolean} trimmed
+ * @property {{x: number, y: number, w: number, h: number}} spriteSourceSize - Recorte dentro del frame original
+ * @property {{w: number, h: number}} sourceSize - Tamaño del frame original
+ */
+
+/**
+ * Empaqueta los frames de una imagen en una o varias páginas
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Imagen con los frames
+ * @param {Array<{id: string, name: string, rect: Object, offset: Object}>} frames - Frames aplanados
+ * @param {Object} [options] - Ver DEFAULT_PACK_OPTIONS
+ * @returns {{pages: Array<{canvas: HTMLCanvasElement, frames: PackedFrame[]}>, skipped: string[]}}
+ */
+export function packAtlas(image, frames, options = {}) {
+    const { padding, extrude, powerOfTwo, trim, maxSize: requestedMax } = { ...DEFAULT_PACK_OPTIONS, ...options };
+    // Con potencias de dos el máximo también tiene que serlo
+    const maxSize = powerOfTwo ? Math.pow(2, Math.floor(Math.log2(requestedMax))) : requestedMax;
+
+    const source = document.createElement('canvas');
+    source.width = image.naturalWidth || image.width;
+    source.height = image.naturalHeight || image.height;
+    const sourceCtx = source.getContext('2d');
+    sourceCtx.drawImage(image, 0, 0);
+    const imageData = trim ? sourceCtx.getImageData(0, 0, source.width, source.height) : null;
+
+    // Cada elemento ocupa el sprite recortado, la extrusión a ambos lados y el padding de después.
+    // El contenedor reserva el padding de antes en el borde izquierdo y superior de la página.
+    const items = frames.map(f => {
+        // Un frame completamente transparente se conserva como un píxel
+        const bounds = trim ? findOpaqueBounds(imageData, f.rect) || { x: 0, y: 0, w: 1, h: 1 } : { x: 0, y: 0, w: f.rect.w, h: f.rect.h };
+        return { frame: f, bounds, w: bounds.w + extrude * 2 + padding, h: bounds.h + extrude * 2 + padding };
+    });
+    const { pages, oversized } = packRects(items, maxSize - padding);
+
+    return {
+        pages: pages.map(page => {
+            const usedW = Math.max(...page.placements.map(p => p.x + p.item.w)) + padding;
+            const usedH = Math.max(...page.placements.map(p => p.y + p.item.h)) + padding;
+            const canvas = document.createElement('canvas');
+            canvas.width = powerOfTwo ? Math.max(MIN_PAGE_SIZE, nextPowerOfTwo(usedW)) : usedW;
+            canvas.height = powerOfTwo ? Math.max(MIN_PAGE_SIZE, nextPowerOfTwo(usedH)) : usedH;
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingEnabled = false;
+            const packedFrames = page.placements.map(({ item, x, y }) => {
+                const { frame: f, bounds } = item;
+                const px = x + padding + extrude;
+                const py = y + padding + extrude;
+                drawExtruded(ctx, source, { x: f.rect.x + bounds.x, y: f.rect.y + bounds.y, w: bounds.w, h: bounds.h }, px, py, extrude);
+                return {
+                    source: f,
+                    frame: { x: px, y: py, w: bounds.w, h: bounds.h },
+                    trimmed: bounds.w !== f.rect.w || bounds.h !== f.rect.h,
+                    spriteSourceSize: { ...bounds },
+                    sourceSize: { w: f.rect.w, h: f.rect.h }
+                };
+            });
+            packedFrames.sort((a, b) => frames.indexOf(a.source) - frames.indexOf(b.source));
+            return { canvas, frames: packedFrames };
+        }),
+        skipped: oversized.map(item => item.frame.name)
+    };
+}
+
+// --- Reempaquetado de la hoja ---
+
+/**
+ * Modos de reempaquetado de la hoja y su nombre en la interfaz
+ * @type {Object<string, string>}
+ */
+export const REPACK_MODES = {
+    grid: 'Parrilla uniforme',
+    tight: 'Empaquetado ajustado',
+    clipRows: 'Una fila por clip'
+};
+
+// Lado máximo de la hoja en el empaquetado ajustado (límite habitual de un canvas)
+const MAX_REPACK_SIZE = 16384;
+
+/**
+ * Celda de la hoja reempaquetada
+ * @typedef {Object} RepackCell
+ * @property {Object} source - Frame original ({ id, name, rect, offset })
+ * @property {{x: number, y: number, w: number, h: number}} rect - Rectángulo del nuevo frame
+ * @property {number} x - Posición donde se dibuja el sprite
+ * @property {number} y
+ */
+
+// Todas las celdas del mismo tamaño; el sprite se alinea al centro-abajo para que no salte
+function planGrid(frames, margin) {
+    const maxWidth = Math.max(...frames.map(f => f.rect.w));
+    const maxHeight = Math.max(...frames.map(f => f.rect.h));
+    const cellWidth = maxWidth + margin * 2;
+    const cellHeight = maxHeight + margin * 2;
+    // Intentar que la parrilla sea más ancha que alta, si es posible
+    const cols = Math.ceil(Math.sqrt(frames.length * (cellHeight / cellWidth)));
+    const rows = Math.ceil(frames.length / cols);
+    const cells = frames.map((f, index) => {
+        const cellX = (index % cols) * cellWidth;
+        const cellY = Math.floor(index / cols) * cellHeight;
+        return {
+            source: f,
+            rect: { x: cellX, y: cellY, w: cellWidth, h: cellHeight },
+            x: cellX + margin + Math.floor((maxWidth - f.rect.w) / 2),
+            y: cellY + margin + (maxHeight - f.rect.h)
+        };
+    });
+    return { width: cols * cellWidth, height: rows * cellHeight, cells };
+}
+
+// Cada frame conserva su tamaño y se coloca con MaxRects; el margen separa los sprites
+function planTight(frames, margin) {
+    const items = frames.map(f => ({ frame: f, w: f.rect.w + margin * 2, h: f.rect.h + margin * 2 }));
+    const { pages, oversized } = packRects(items, MAX_REPACK_SIZE);
+    if (oversized.length > 0 || pages.length > 1) throw new Error('Los frames no caben en una sola hoja.');
+    const cells = pages[0].placements.map(({ item, x, y }) => ({
+        source: item.frame,
+        rect: { x: x + margin, y: y + margin, w: item.frame.rect.w, h: item.frame.rect.h },
+        x: x + margin,
+        y: y + margin
+    }));
+    cells.sort((a, b) => frames.indexOf(a.source) - frames.indexOf(b.source));
+    return {
+        width: Math.max(...cells.map(c => c.rect.x + c.rect.w)) + margin,
+        height: Math.max(...cells.map(c => c.rect.y + c.rect.h)) + margin,
+        cells
+    };
+}
+
+// Una fila por grupo de frames, con la altura del frame más alto y los sprites alineados abajo
+function planRows(rows, margin) {
+    const cells = [];
+    let width = 0, rowY = 0;
+    rows.forEach(rowFrames => {
+        const rowHeight = Math.max(...rowFrames.map(f => f.rect.h)) + margin * 2;
+        let cellX = 0;
+        rowFrames.forEach(f => {
+            const cellWidth = f.rect.w + margin * 2;
+            cells.push({
+                source: f,
+                rect: { x: cellX, y: rowY, w: cellWidth, h: rowHeight },
+                x: cellX + margin,
+                y: rowY + rowHeight - margin - f.rect.h
+            });
+            cellX += cellWidth;
+        });
+        width = Math.max(width, cellX);
+        rowY += rowHeight;
+    });
+    return { width, height: rowY, cells };
+}
+
+/**
+ * Calcula la disposición de una hoja reempaquetada y cómo se trasladan los clips a ella.
+ * En 'clipRows' cada clip ocupa su propia fila (un frame usado por varios clips se repite)
+ * y los frames que no están en ningún clip van a una última fila.
+ * @param {Array<{id: string, name: string, rect: Object, offset: Object}>} frames - Frames aplanados
+ * @param {Array<{id: number, frameIds: string[]}>} clips
+ * @param {{mode: string, margin: number}} options - mode es una clave de REPACK_MODES
+ * @returns {{width: number, height: number, cells: RepackCell[], clipCells: Array<Array<number|null>>}}
+ *   clipCells da, para cada clip y en el orden de sus frameIds, el índice de la celda nueva
+ *   (null si el frame ya no existe)
+ * @throws {Error} Si no hay frames o no caben en una hoja
+ */
+export function planRepack(frames, clips, { mode, margin }) {
+    if (frames.length === 0) throw new Error('No hay frames definidos para re-empaquetar.');
+    const byId = new Map(frames.map(f => [f.id, f]));
+
+    if (mode === 'clipRows') {
+        const rows = [];
+        const used = new Set();
+        // Posición de cada frame del clip dentro de su fila
+        const clipPositions = clips.map(clip => {
+            const row = [];
+            const positions = new Map();
+            const result = clip.frameIds.map(id => {
+                if (!byId.has(id)) return null;
+                if (!positions.has(id)) { positions.set(id, row.length); row.push(byId.get(id)); }
+                used.add(id);
+                return positions.get(id);
+            });
+            rows.push(row);
+            return result;
+        });
+        const loose = frames.filter(f => !used.has(f.id));
+        if (loose.length > 0) rows.push(loose);
+
+        const layout = planRows(rows.filter(row => row.length > 0), margin);
+        // Pasar las posiciones dentro de cada fila a índices de celda globales
+        const rowStarts = [];
+        rows.reduce((start, row) => { rowStarts.push(start); return start + row.length; }, 0);
+        const clipCells = clipPositions.map((positions, i) => positions.map(pos => pos === null ? null : rowStarts[i] + pos));
+        return { ...layout, clipCells };
+    }
+
+    const layout = mode === 'tight' ? planTight(frames, margin) : planGrid(frames, margin);
+    const cellIndex = new Map(layout.cells.map((cell, i) => [cell.source.id, i]));
+    const clipCells = clips.map(clip => clip.frameIds.map(id => cellIndex.has(id) ? cellIndex.get(id) : null));
+    return { ...layout, clipCells };
+}
@@ -0,0 +1,189 @@
+// --- Módulo de Plantillas de Exportación ---
+// Motor de plantillas de texto para exportar los datos del proyecto en cualquier formato.
+// Sintaxis (inspirada en Mustache):
+//   {{ruta}}                valor (ej. {{meta.image}}, {{rect.x}}); se busca en el contexto actual
+//                           y, si no está, en los exteriores
+//   {{ruta | filtro}}       aplica un filtro: json, xml, upper, lower
+//   {{#lista}}...{{/lista}} repite el bloque por elemento; dentro están @index, @number, @first y @last
+//   {{#valor}}...{{/valor}} muestra el bloque si el valor es verdadero
+//   {{^valor}}...{{/valor}} muestra el bloque si el valor es falso o una lista vacía
+//   {{! comentario}}
+// Las etiquetas de bloque solas en su línea no dejan líneas en blanco en la salida.
+
+import { collectFrameEvents } from './frameEvents.js';
+import { resolveFrameDuration } from './frameDurations.js';
+
+/**
+ * Plantilla de ejemplo para las plantillas nuevas
+ * @type {string}
+ */
+export const SAMPLE_TEMPLATE = `{
+  "image": {{meta.image | json}},
+  "size": [{{meta.width}}, {{meta.height}}],
+  "frames": [
+{{#frames}}
+    { "name": {{name | json}}, "x": {{rect.x}}, "y": {{rect.y}}, "w": {{rect.w}}, "h": {{rect.h}}, "ox": {{offset.x}}, "oy": {{offset.y}} }{{^@last}},{{/@last}}
+{{/frames}}
+  ],
+  "clips": {
+{{#clips}}
+    {{name | json}}: [{{#frames}}{{name | json}}{{^@last}}, {{/@last}}{{/frames}}]{{^@last}},{{/@last}}
+{{/clips}}
+  }
+}
+`;
+
+const FILTERS = {
+    json: (value) => JSON.stringify(value ?? null),
+    xml: (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'),
+    upper: (value) => String(value ?? '').toUpperCase(),
+    lower: (value) => String(value ?? '').toLowerCase()
+};
+
+const TAG_PATTERN = /\{\{\s*([#^/!]?)\s*([\s\S]*?)\s*\}\}/g;
+
+// Convierte la plantilla en una lista de tokens de texto y etiquetas
+function tokenize(source) {
+    const tokens = [];
+    let last = 0;
+    let match;
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source))) {
+        if (match.index > last) tokens.push({ type: 'text', value: source.slice(last, match.index) });
+        const [, sigil, content] = match;
+        const line = source.slice(0, match.index).split('\n').length;
+        tokens.push({ type: sigil || 'value', content, line });
+        last = TAG_PATTERN.lastIndex;
+    }
+    if (last < source.length) tokens.push({ type: 'text', value: source.slice(last) });
+
+    // Una etiqueta de bloque o comentario sola en su línea se lleva la línea entera
+    tokens.forEach((token, i) => {
+        if (token.type === 'text' || token.type === 'value') return;
+        const before = tokens[i - 1];
+        const after = tokens[i + 1];
+        const startsLine = !before || (before.type === 'text' && (/\n[ \t]*$/.test(before.value) || (i === 1 && /^[ \t]*$/.test(before.value))));
+        const endsLine = !after || (after.type === 'text' && /^[ \t]*(\r?\n|$)/.test(after.value));
+        if (!startsLine || !endsLine) return;
+        if (before) before.value = before.value.replace(/[ \t]*$/, '');
+        if (after) after.value = after.value.replace(/^[ \t]*(\r?\n)?/, '');
+    });
+    return tokens;
+}
+
+// Agrupa los tokens en un árbol de bloques
+function parse(tokens) {
+    const root = { children: [] };
+    const stack = [root];
+    tokens.forEach(token => {
+        const current = stack[stack.length - 1];
+        if (token.type === '#' || token.type === '^') {
+            const section = { ...token, children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (token.type === '/') {
+            if (stack.length === 1 || current.content !== token.content) {
+                throw new Error(`Línea ${token.line}: {{/${token.content}}} no cierra ningún bloque abierto${stack.length > 1 ? ` (se esperaba {{/${current.content}}})` : ''}.`);
+            }
+            stack.pop();
+        } else if (token.type !== '!') {
+            current.children.push(token);
+        }
+    });
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`Línea ${open.line}: falta cerrar el bloque {{#${open.content}}}.`);
+    }
+    return root.children;
+}
+
+// Busca una ruta con puntos desde el contexto más interior hacia fuera
+function lookup(contexts, path) {
+    const [head, ...rest] = path.split('.');
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i];
+        if (context !== null && typeof context === 'object' && head in context) {
+            return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[head]);
+        }
+    }
+    return undefined;
+}
+
+function evaluate(contexts, expression, line) {
+    const [path, ...filters] = expression.split('|').map(part => part.trim());
+    let value = path === '.' ? contexts[contexts.length - 1] : lookup(contexts, path);
+    filters.forEach(name => {
+        if (!FILTERS[name]) throw new Error(`Línea ${line}: filtro desconocido "${name}".`);
+        value = FILTERS[name](value);
+    });
+    return value;
+}
+
+function renderNodes(nodes, contexts) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+        if (node.type === 'value') {
+            const value = evaluate(contexts, node.content, node.line);
+            if (value === undefined || value === null) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+        const value = evaluate(contexts, node.content, node.line);
+        const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+        if (node.type === '^') return isEmpty ? renderNodes(node.children, contexts) : '';
+        if (isEmpty) return '';
+        if (Array.isArray(value)) {
+            return value.map((item, index) => {
+                const loop = { '@index': index, '@number': index + 1, '@first': index === 0, '@last': index === value.length - 1 };
+                return renderNodes(node.children, [...contexts, loop, item]);
+            }).join('');
+        }
+        return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts);
+    }).join('');
+}
+
+/**
+ * Datos que reciben las plantillas
+ * @param {{image: string, size: {w: number, h: number}, fps: number}} meta
+ * @param {Array<{id: string, name: string, rect: Object, offset: Object}>} frames - Frames aplanados
+ * @param {Array<{name: string, frameIds: string[], frameDurations?: Array<FrameDuration>, frameEvents?: Array<Array<Object>|null>, direction?: string, once?: boolean, loopStart?: number}>} clips
+ * @returns {Object}
+ */
+export function buildTemplateData(meta, frames, clips) {
+    const frameData = frames.map((f, index) => ({ index, id: f.id, name: f.name, rect: { ...f.rect }, offset: { ...f.offset } }));
+    const byId = new Map(frameData.map(f => [f.id, f]));
+    return {
+        meta: {
+            app: 'Sprite Sheet Suite v4.4',
+            image: meta.image,
+            width: meta.size.w,
+            height: meta.size.h,
+            fps: meta.fps,
+            frameCount: frameData.length,
+            clipCount: clips.length
+        },
+        frames: frameData,
+        clips: clips.map(clip => {
+            // Solo las entradas cuyo frame existe; los eventos se numeran por su posición en `frames`
+            const indices = clip.frameIds.map((id, i) => i).filter(i => byId.has(clip.frameIds[i]));
+            return {
+                name: clip.name,
+                direction: clip.direction || 'forward',
+                loop: !clip.once,
+                loopStart: clip.loopStart || 0,
+                frames: indices.map(i => ({ ...byId.get(clip.frameIds[i]), duration: Math.round(resolveFrameDuration(clip.frameDurations?.[i] ?? null, meta.fps)), events: clip.frameEvents?.[i] || [] })),
+                events: collectFrameEvents(clip, indices)
+            };
+        })
+    };
+}
+
+/**
+ * Renderiza una plantilla con los datos indicados
+ * @param {string} source - Texto de la plantilla
+ * @param {Object} data - Normalmente el resultado de buildTemplateData
+ * @returns {string}
+ * @throws {Error} Si la plantilla tiene bloques mal cerrados o filtros desconocidos
+ */
+export function renderTemplate(source, data) {
+    return renderNodes(parse(tokenize(source)), [data]);
+}
@@ -0,0 +1,137 @@
+// --- Módulo de Celdas de Grupo ---
+// Calcula las celdas de un frame de tipo 'group' y les da una identidad persistente:
+// cada celda conserva su id mientras siga cubriendo (mayoritariamente) los mismos píxeles,
+// aunque se añadan, muevan o borren divisiones.
+
+/**
+ * Celda de un grupo, en coordenadas relativas al frame
+ * @typedef {Object} GroupCell
+ * @property {number} row - Fila (posición actual)
+ * @property {number} col - Columna dentro de la fila (posición actual)
+ * @property {number} x
+ * @property {number} y
+ * @property {number} w
+ * @property {number} h
+ */
+
+/**
+ * Calcula la geometría de las celdas de un grupo a partir de sus divisiones
+ * @param {Object} frame - Frame de tipo 'group'
+ * @returns {GroupCell[]} Celdas ordenadas por fila y columna
+ */
+export function computeGroupCells(frame) {
+    const cells = [];
+    const yCoords = [0, ...frame.hSlices.sort((a, b) => a - b), frame.rect.h];
+    for (let i = 0; i < yCoords.length - 1; i++) {
+        const rowY = yCoords[i];
+        const rowH = yCoords[i + 1] - yCoords[i];
+        const xCoordsForRow = [0];
+
+        frame.vSlices.sort((a, b) => (a.rowOverrides[i] ?? a.globalX) - (b.rowOverrides[i] ?? b.globalX)).forEach(slice => {
+            const xPos = slice.rowOverrides[i] !== undefined ? slice.rowOverrides[i] : slice.globalX;
+            if (xPos !== null) {
+                xCoordsForRow.push(xPos);
+            }
+        });
+
+        xCoordsForRow.push(frame.rect.w);
+        const uniqueSortedX = [...new Set(xCoordsForRow)].sort((a, b) => a - b);
+
+        for (let j = 0; j < uniqueSortedX.length - 1; j++) {
+            const cellX = uniqueSortedX[j];
+            const cellW = uniqueSortedX[j + 1] - cellX;
+            if (cellW <= 0) continue;
+            cells.push({ row: i, col: j, x: cellX, y: rowY, w: cellW, h: rowH });
+        }
+    }
+    return cells;
+}
+
+/**
+ * Id posicional que usaban las versiones anteriores; se mantiene para grupos que
+ * aún no tienen identidades guardadas, de modo que sus clips y offsets sigan siendo válidos.
+ * @param {Object} frame
+ * @param {GroupCell} cell
+ * @returns {string}
+ */
+export function legacyCellId(frame, cell) {
+    return `${frame.id}_${cell.row}_${cell.col}`;
+}
+
+const overlapArea = (a, b) => {
+    const w = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+    const h = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+    return w > 0 && h > 0 ? w * h : 0;
+};
+
+/**
+ * Asigna ids a las celdas actuales comparándolas con las guardadas en `frame.cells`.
+ * Los emparejamientos se eligen de mayor a menor área solapada; cada id guardado se
+ * usa como mucho una vez. Las celdas sin pareja reciben un id nuevo a partir de
+ * `frame.nextCellSeq`. No modifica el frame: el mismo estado siempre produce los mismos ids.
+ * @param {Object} frame - Frame de tipo 'group'
+ * @param {GroupCell[]} cells - Resultado de computeGroupCells
+ * @returns {Array<GroupCell & {id: string, isNew: boolean}>}
+ */
+export function matchCellIdentities(frame, cells) {
+    if (!Array.isArray(frame.cells)) {
+        return cells.map(cell => ({ ...cell, id: legacyCellId(frame, cell), isNew: false }));
+    }
+
+    const pairs = [];
+    cells.forEach((cell, cellIndex) => {
+        frame.cells.forEach((stored, storedIndex) => {
+            const area = overlapArea(cell, stored);
+            if (area > 0) pairs.push({ cellIndex, storedIndex, area });
+        });
+    });
+    pairs.sort((a, b) => b.area - a.area);
+
+    const ids = new Array(cells.length).fill(null);
+    const usedStored = new Set();
+    pairs.forEach(({ cellIndex, storedIndex }) => {
+        if (ids[cellIndex] !== null || usedStored.has(storedIndex)) return;
+        ids[cellIndex] = frame.cells[storedIndex].id;
+        usedStored.add(storedIndex);
+    });
+
+    let seq = frame.nextCellSeq || 0;
+    return cells.map((cell, index) => ids[index] !== null
+        ? { ...cell, id: ids[index], isNew: false }
+        : { ...cell, id: `${frame.id}_c${seq++}`, isNew: true });
+}
+
+// Última geometría calculada por frame, para no repetir el emparejamiento en cada redibujado
+const identityCache = new WeakMap();
+
+const geometryKey = (frame) => JSON.stringify([frame.id, frame.rect.w, frame.rect.h, frame.hSlices, frame.vSlices, frame.nextCellSeq]);
+
+/**
+ * Celdas de un grupo con su identidad, como matchCellIdentities(frame, computeGroupCells(frame)),
+ * pero reutilizando el resultado mientras no cambien las divisiones, el tamaño ni las
+ * identidades guardadas del frame.
+ * @param {Object} frame - Frame de tipo 'group'
+ * @returns {Array<GroupCell & {id: string, isNew: boolean}>}
+ */
+export function getIdentifiedCells(frame) {
+    const cached = identityCache.get(frame);
+    if (cached && cached.key === geometryKey(frame) && cached.storedCells === frame.cells) return cached.cells;
+    const cells = matchCellIdentities(frame, computeGroupCells(frame));
+    // La clave se toma después de calcular: computeGroupCells deja las divisiones ordenadas
+    identityCache.set(frame, { key: geometryKey(frame), storedCells: frame.cells, cells });
+    return cells;
+}
+
+/**
+ * Guarda en el frame las identidades actuales de sus celdas
+ * @param {Object} frame - Frame de tipo 'group' (se modifica)
+ * @returns {string[]} Ids que existían y ya no corresponden a ninguna celda
+ */
+export function commitCellIdentities(frame) {
+    const cells = getIdentifiedCells(frame);
+    const previousIds = Array.isArray(frame.cells) ? frame.cells.map(c => c.id) : [];
+    frame.nextCellSeq = (frame.nextCellSeq || 0) + cells.filter(c => c.isNew).length;
+    frame.cells = cells.map(({ id, x, y, w, h }) => ({ id, x, y, w, h }));
+    const currentIds = new Set(frame.cells.map(c => c.id));
+    return previousIds.filter(id => !currentIds.has(id));
+}
@@ -0,0 +1,57 @@
+// --- Módulo de Duraciones de Frame ---
+// Duración propia de cada entrada de un clip, en clip.frameDurations (paralela a clip.frameIds).
+// Cada posición es null (la duración que marcan los fps), un número de milisegundos o
+// { hold: n }, n veces la duración de los fps: un "x2" sigue siendo el doble aunque cambien los fps.
+
+/**
+ * @typedef {number|{hold: number}|null} FrameDuration
+ */
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Comprueba que un valor es una duración propia válida (null no lo es: significa "sin duración propia")
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidFrameDuration(value) {
+    return isPositive(value) || (!!value && typeof value === 'object' && isPositive(value.hold));
+}
+
+/**
+ * Duración en ms de una entrada
+ * @param {FrameDuration} value - Duración propia de la entrada
+ * @param {number} fps - Velocidad del clip
+ * @returns {number}
+ */
+export function resolveFrameDuration(value, fps) {
+    if (isPositive(value)) return value;
+    if (value && isPositive(value.hold)) return value.hold * 1000 / fps;
+    return 1000 / fps;
+}
+
+/**
+ * Lee una duración escrita como milisegundos ("120") o como multiplicador de la de los fps ("x2", "×1.5")
+ * @param {string} text
+ * @returns {FrameDuration} null si el texto está vacío
+ * @throws {Error} Si el texto no es ninguna de las dos cosas
+ */
+export function parseFrameDuration(text) {
+    const value = text.trim().replace(',', '.');
+    if (value === '') return null;
+    const hold = value.match(/^[x×*]\s*(\d+(?:\.\d+)?)$/i);
+    const duration = hold ? { hold: parseFloat(hold[1]) } : Math.round(parseFloat(value));
+    if (!isValidFrameDuration(duration)) throw new Error('La duración debe ser un número de milisegundos o un multiplicador como x2.');
+    return duration;
+}
+
+/**
+ * Escribe una duración en el formato que lee parseFrameDuration
+ * @param {FrameDuration} value
+ * @returns {string}
+ */
+export function formatFrameDuration(value) {
+    if (isPositive(value)) return `${Math.round(value)}`;
+    if (value && isPositive(value.hold)) return `x${value.hold}`;
+    return '';
+}
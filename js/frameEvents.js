@@ -0,0 +1,101 @@
+// --- Módulo de Eventos de Frame ---
+// Marcadores con nombre (y un dato opcional) en entradas concretas de un clip, para que el
+// código del juego sepa, por ejemplo, en qué frame suena un paso. Se guardan en
+// clip.frameEvents, paralela a clip.frameIds: cada posición es null o una lista de eventos.
+
+/**
+ * @typedef {Object} FrameEvent
+ * @property {string} name - Nombre del evento, sin espacios, comas ni "="
+ * @property {*} [payload] - Dato opcional: cualquier valor JSON
+ */
+
+const EVENT_NAME_PATTERN = /^[^\s,=]+$/;
+
+/**
+ * Comprueba que un valor es un evento válido
+ * @param {*} event
+ * @returns {boolean}
+ */
+export function isValidFrameEvent(event) {
+    return !!event && typeof event === 'object' && typeof event.name === 'string' && EVENT_NAME_PATTERN.test(event.name);
+}
+
+// Parte el texto por las comas que no están dentro de comillas, llaves o corchetes
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let inString = false;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+        } else if (ch === '"') {
+            inString = true;
+        } else if (ch === '{' || ch === '[') {
+            depth++;
+        } else if (ch === '}' || ch === ']') {
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Lee los eventos de una entrada escritos como texto: "paso, disparo={"tipo": "flecha"}".
+ * El dato tras "=" se lee como JSON; si no lo es, se guarda como texto.
+ * @param {string} text
+ * @returns {FrameEvent[]} Lista vacía si el texto está vacío
+ * @throws {Error} Si algún nombre de evento no es válido
+ */
+export function parseFrameEvents(text) {
+    return splitTopLevel(text).map(part => {
+        const separator = part.indexOf('=');
+        const name = (separator === -1 ? part : part.slice(0, separator)).trim();
+        if (!EVENT_NAME_PATTERN.test(name)) throw new Error(`"${name}" no es un nombre de evento válido (sin espacios, comas ni "=").`);
+        if (separator === -1) return { name };
+        const raw = part.slice(separator + 1).trim();
+        let payload;
+        try {
+            payload = JSON.parse(raw);
+        } catch {
+            payload = raw;
+        }
+        return { name, payload };
+    });
+}
+
+/**
+ * Escribe los eventos de una entrada en el formato que lee parseFrameEvents
+ * @param {FrameEvent[]|null} events
+ * @returns {string}
+ */
+export function formatFrameEvents(events) {
+    return (events || []).map(event => {
+        if (event.payload === undefined) return event.name;
+        // Un texto que JSON.parse leería como otra cosa, o con comas, va entre comillas
+        const plain = typeof event.payload === 'string' && !/[,"{}[\]]/.test(event.payload) && parseFrameEvents(`x=${event.payload}`)[0].payload === event.payload;
+        return `${event.name}=${plain ? event.payload : JSON.stringify(event.payload)}`;
+    }).join(', ');
+}
+
+/**
+ * Eventos de una lista de entradas ya en su orden final de exportación
+ * @param {Object} clip - Clip con frameEvents opcional
+ * @param {number[]} entryIndices - Posición en clip.frameIds de cada frame exportado
+ * @returns {Array<{frame: number, name: string, payload?: *}>} frame = posición en la lista exportada
+ */
+export function collectFrameEvents(clip, entryIndices) {
+    const events = [];
+    entryIndices.forEach((entryIndex, frame) => {
+        (clip.frameEvents?.[entryIndex] || []).forEach(event => {
+            events.push(event.payload === undefined ? { frame, name: event.name } : { frame, name: event.name, payload: event.payload });
+        });
+    });
+    return events;
+}
@@ -0,0 +1,240 @@
+// --- Módulo de Ajustes de Imagen ---
+// Pila de ajustes no destructiva: la imagen original nunca se modifica y el resultado se
+// recalcula aplicando en orden los pasos activos. Cada paso es un objeto serializable
+// { id, type, enabled, params } que se guarda con el proyecto.
+
+import { detectBackgroundColor, isBackgroundColor } from './spriteDetection.js';
+
+/**
+ * Tipos de ajuste disponibles, con su nombre visible y sus parámetros por defecto.
+ * 'repack' no tiene valores por defecto: sus parámetros los calcula el reempaquetado.
+ */
+export const ADJUSTMENT_TYPES = {
+    removeBackground: { label: 'Eliminar fondo', defaults: { tolerance: 20, colors: [], mode: 'global' } },
+    smoothEdges: { label: 'Suavizar bordes', defaults: { intensity: 'medium' } },
+    colorAdjust: { label: 'Ajuste de color', defaults: { brightness: 0, contrast: 0, saturation: 0, hue: 0 } },
+    repack: { label: 'Reempaquetar', defaults: null }
+};
+
+let lastAdjustmentId = 0;
+
+/**
+ * Crea un paso de ajuste nuevo (activo) con los parámetros por defecto de su tipo
+ * @param {string} type - Clave de ADJUSTMENT_TYPES
+ * @param {Object} [params] - Parámetros que sustituyen a los valores por defecto
+ * @returns {{id: number, type: string, enabled: boolean, params: Object}}
+ */
+export function createAdjustment(type, params = {}) {
+    if (!ADJUSTMENT_TYPES[type]) throw new Error(`Tipo de ajuste desconocido: ${type}`);
+    lastAdjustmentId = Math.max(Date.now(), lastAdjustmentId + 1); // Únicos aunque se creen varios a la vez
+    return { id: lastAdjustmentId, type, enabled: true, params: { ...structuredClone(ADJUSTMENT_TYPES[type].defaults), ...params } };
+}
+
+/**
+ * Vuelve transparente el fondo. Los colores clave se eligen con el cuentagotas; si no hay
+ * ninguno se usa el color detectado en el borde de la imagen. En modo 'contiguous' solo se
+ * borra el fondo conectado con el borde, así que ese mismo color dentro de un sprite se conserva.
+ * @param {ImageData} imageData - Se modifica en el sitio
+ * @param {{tolerance: number, colors: number[][], mode: string}} params - colors como [r, g, b, a]
+ */
+function keyBackground(imageData, params) {
+    const { data, width: w, height: h } = imageData;
+    const keyColors = params.colors && params.colors.length > 0 ? params.colors : [detectBackgroundColor(data, w, h)];
+    const isKey = (i) => keyColors.some(color => isBackgroundColor(data, i, color, params.tolerance));
+
+    if (params.mode !== 'contiguous') {
+        for (let i = 0; i < data.length; i += 4) {
+            if (isKey(i)) data[i + 3] = 0; // Set alpha to 0
+        }
+        return;
+    }
+
+    // Relleno por inundación (4 vecinos) desde todos los píxeles del borde
+    const visited = new Uint8Array(w * h);
+    const stack = [];
+    const visit = (x, y) => {
+        const p = y * w + x;
+        if (visited[p]) return;
+        visited[p] = 1;
+        if (isKey(p * 4)) stack.push(p);
+    };
+    for (let x = 0; x < w; x++) { visit(x, 0); visit(x, h - 1); }
+    for (let y = 0; y < h; y++) { visit(0, y); visit(w - 1, y); }
+    while (stack.length > 0) {
+        const p = stack.pop();
+        data[p * 4 + 3] = 0;
+        const x = p % w, y = (p - x) / w;
+        if (x > 0) visit(x - 1, y);
+        if (x < w - 1) visit(x + 1, y);
+        if (y > 0) visit(x, y - 1);
+        if (y < h - 1) visit(x, y + 1);
+    }
+}
+
+// Intensidades de suavizado: mezcla de color con los vecinos y atenuación del alfa en el borde
+const SMOOTH_FACTORS = {
+    low: { colorBlendFactor: 0.3, alphaFeatherFactor: 0.25 },
+    medium: { colorBlendFactor: 0.5, alphaFeatherFactor: 0.5 },
+    high: { colorBlendFactor: 0.7, alphaFeatherFactor: 0.75 }
+};
+
+/**
+ * Suaviza los bordes de los sprites (píxeles opacos con vecinos transparentes)
+ * @param {ImageData} imageData - Se modifica en el sitio
+ * @param {{intensity: string}} params - 'low' | 'medium' | 'high'
+ */
+function smoothEdges(imageData, params) {
+    const { data, width: w, height: h } = imageData;
+    const { colorBlendFactor, alphaFeatherFactor } = SMOOTH_FACTORS[params.intensity] || SMOOTH_FACTORS.medium;
+    const newData = new Uint8ClampedArray(data); // Trabajar sobre una copia para leer los datos originales
+    const alphaThreshold = 10; // Píxeles por debajo de este alfa se consideran fondo
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const i = (y * w + x) * 4;
+            if (data[i + 3] <= alphaThreshold) continue;
+
+            let transparentNeighbors = 0;
+            let solidNeighborCount = 0;
+            let avgR = 0, avgG = 0, avgB = 0;
+
+            // Revisar vecinos en 8 direcciones (3x3)
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= w || ny < 0 || ny >= h) continue;
+                    const ni = (ny * w + nx) * 4;
+                    if (data[ni + 3] < alphaThreshold) {
+                        transparentNeighbors++;
+                    } else {
+                        solidNeighborCount++;
+                        avgR += data[ni];
+                        avgG += data[ni + 1];
+                        avgB += data[ni + 2];
+                    }
+                }
+            }
+
+            // Solo los píxeles de borde (con vecinos transparentes) se suavizan
+            if (transparentNeighbors === 0) continue;
+            if (solidNeighborCount > 0) {
+                newData[i] = data[i] * (1 - colorBlendFactor) + (avgR / solidNeighborCount) * colorBlendFactor;
+                newData[i + 1] = data[i + 1] * (1 - colorBlendFactor) + (avgG / solidNeighborCount) * colorBlendFactor;
+                newData[i + 2] = data[i + 2] * (1 - colorBlendFactor) + (avgB / solidNeighborCount) * colorBlendFactor;
+            }
+            const solidRatio = solidNeighborCount / (solidNeighborCount + transparentNeighbors);
+            newData[i + 3] = data[i + 3] * Math.pow(solidRatio, alphaFeatherFactor);
+        }
+    }
+    data.set(newData);
+}
+
+/**
+ * Ajusta brillo, contraste, saturación y tono
+ * @param {ImageData} imageData - Se modifica en el sitio
+ * @param {{brightness: number, contrast: number, saturation: number, hue: number}} params
+ *   brillo, contraste y saturación en [-100, 100]; tono en grados [-180, 180]
+ */
+function adjustColor(imageData, params) {
+    const { data } = imageData;
+    const brightness = params.brightness * 2.55;
+    const c = params.contrast * 2.55;
+    const contrastFactor = (259 * (c + 255)) / (255 * (259 - c));
+    const saturation = 1 + params.saturation / 100;
+
+    // Matriz de rotación de tono (la misma que usa el filtro CSS hue-rotate)
+    const angle = params.hue * Math.PI / 180;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const m = [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+    ];
+
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        let r = data[i], g = data[i + 1], b = data[i + 2];
+        if (params.hue !== 0) {
+            [r, g, b] = [m[0] * r + m[1] * g + m[2] * b, m[3] * r + m[4] * g + m[5] * b, m[6] * r + m[7] * g + m[8] * b];
+        }
+        if (saturation !== 1) {
+            const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+            r = gray + (r - gray) * saturation;
+            g = gray + (g - gray) * saturation;
+            b = gray + (b - gray) * saturation;
+        }
+        data[i] = contrastFactor * (r + brightness - 128) + 128;
+        data[i + 1] = contrastFactor * (g + brightness - 128) + 128;
+        data[i + 2] = contrastFactor * (b + brightness - 128) + 128;
+    }
+}
+
+/**
+ * Copia cada región de la imagen de entrada a su nueva posición en un lienzo nuevo
+ * @param {HTMLCanvasElement} input
+ * @param {{width: number, height: number, placements: Array<{src: Object, x: number, y: number}>}} params
+ * @returns {HTMLCanvasElement}
+ */
+function repack(input, params) {
+    const output = document.createElement('canvas');
+    output.width = params.width;
+    output.height = params.height;
+    const ctx = output.getContext('2d');
+    params.placements.forEach(({ src, x, y }) => {
+        ctx.drawImage(input, src.x, src.y, src.w, src.h, x, y, src.w, src.h);
+    });
+    return output;
+}
+
+const PIXEL_OPERATIONS = { removeBackground: keyBackground, smoothEdges, colorAdjust: adjustColor };
+
+/**
+ * Aplica un paso sobre un lienzo. Los pasos de píxel modifican el lienzo recibido;
+ * el reempaquetado devuelve uno nuevo.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} step
+ * @returns {HTMLCanvasElement}
+ */
+function applyStep(canvas, step) {
+    if (step.type === 'repack') return repack(canvas, step.params);
+    const operation = PIXEL_OPERATIONS[step.type];
+    if (!operation) return canvas;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    operation(imageData, step.params);
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+/**
+ * Aplica en orden los pasos activos sobre un lienzo (también sirve para vistas previas)
+ * @param {HTMLCanvasElement} canvas - Puede modificarse
+ * @param {Array} steps
+ * @returns {HTMLCanvasElement} El lienzo resultante (otro distinto si hay reempaquetados)
+ */
+export function applyAdjustmentsToCanvas(canvas, steps) {
+    return steps.filter(step => step.enabled).reduce(applyStep, canvas);
+}
+
+/**
+ * Recalcula la imagen final a partir de la original y la pila de ajustes
+ * @param {Blob} sourceBlob - Imagen original
+ * @param {Array} steps - Pila de ajustes; los desactivados se omiten
+ * @returns {Promise<Blob>} La imagen resultante (la original si no hay pasos activos)
+ */
+export async function renderAdjustments(sourceBlob, steps) {
+    const activeSteps = steps.filter(step => step.enabled);
+    if (activeSteps.length === 0) return sourceBlob;
+
+    const bitmap = await createImageBitmap(sourceBlob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const result = applyAdjustmentsToCanvas(canvas, activeSteps);
+    return new Promise(res => result.toBlob(res, 'image/png'));
+}
@@ -10,7 +10,17 @@ import { InteractionController } from './6_interactionController.js';
 import { AnimationManager } from './7_animationManager.js';
 import { ExportManager } from './8_exportManager.js';
 import { SessionManager } from './9_sessionManager.js';
-import { detectSpritesFromImage, detectBackgroundColor, isBackgroundColor } from './spriteDetection.js';
+import { ProjectFile } from './11_projectFile.js';
+import { AdjustmentManager } from './12_adjustmentManager.js';
+import { TemplateManager } from './13_templateManager.js';
+import { createAdjustment, applyAdjustmentsToCanvas } from './imageAdjustments.js';
+import { isAtlasFile, parseAtlas, isUnityGuid } from './atlasFormats.js';
+import { planRepack } from './atlasPacker.js';
+import { parseFrameEvents, formatFrameEvents } from './frameEvents.js';
+import { parseFrameDuration, formatFrameDuration } from './frameDurations.js';
+import { ONION_SKIN_COLORS, getOnionSkinNeighbors, getOnionSkinAlpha, drawTintedFrame } from './onionSkin.js';
+import { prepareProjectState, describeSchemaReport } from './projectSchema.js';
+import { detectSpritesFromImage } from './spriteDetection.js';
 import { openTutorial } from './tutorial.js';
 
 // --- Zoom Manager (Un pequeño módulo dentro de main) ---
@@ -63,66 +73,12 @@ const ZoomManager = {
     }
 };
 
-// --- Simple Growing Packer Algorithm ---
-const GrowingPacker = function() {};
-GrowingPacker.prototype = {
-    fit: function(blocks) {
-        let n, node, block, len = blocks.length;
-        let w = len > 0 ? blocks[0].w : 0;
-        let h = len > 0 ? blocks[0].h : 0;
-        this.root = { x: 0, y: 0, w: w, h: h };
-        for (n = 0; n < len; n++) {
-            block = blocks[n];
-            if (node = this.findNode(this.root, block.w, block.h)) {
-                block.fit = this.splitNode(node, block.w, block.h);
-            } else {
-                block.fit = this.growNode(block.w, block.h);
-            }
-        }
-    },
-    findNode: function(root, w, h) {
-        if (root.used) {
-            return this.findNode(root.right, w, h) || this.findNode(root.down, w, h);
-        } else if ((w <= root.w) && (h <= root.h)) {
-            return root;
-        } else {
-            return null;
-        }
-    },
-    splitNode: function(node, w, h) {
-        node.used = true;
-        node.down = { x: node.x, y: node.y + h, w: node.w, h: node.h - h };
-        node.right = { x: node.x + w, y: node.y, w: node.w - w, h: h };
-        return node;
-    },
-    growNode: function(w, h) {
-        const canGrowDown = (w <= this.root.w);
-        const canGrowRight = (h <= this.root.h);
-        const shouldGrowRight = canGrowRight && (this.root.h >= (this.root.w + w));
-        const shouldGrowDown = canGrowDown && (this.root.w >= (this.root.h + h));
-        if (shouldGrowRight) return this.growRight(w, h);
-        else if (shouldGrowDown) return this.growDown(w, h);
-        else if (canGrowRight) return this.growRight(w, h);
-        else if (canGrowDown) return this.growDown(w, h);
-        else return null;
-    },
-    growRight: function(w, h) {
-        const previousRoot = this.root;
-        this.root = { used: true, x: 0, y: 0, w: previousRoot.w + w, h: previousRoot.h, down: previousRoot, right: { x: previousRoot.w, y: 0, w: w, h: previousRoot.h } };
-        let node; if (node = this.findNode(this.root, w, h)) { return this.splitNode(node, w, h); } return null;
-    },
-    growDown: function(w, h) {
-        const previousRoot = this.root;
-        this.root = { used: true, x: 0, y: 0, w: previousRoot.w, h: previousRoot.h + h, down: { x: 0, y: previousRoot.h, w: previousRoot.w, h: h }, right: previousRoot };
-        let node; if (node = this.findNode(this.root, w, h)) { return this.splitNode(node, w, h); } return null;
-    }
-};
-
 // --- Objeto Principal de la Aplicación ---
 export const App = {
     isReloadingFromStorage: false,
-    isModifyingImage: false,
+    isApplyingAdjustments: false, // La imagen mostrada se está recalculando desde la pila de ajustes
     modificationMessage: null,
+    pendingAtlas: null, // Atlas elegido junto con su imagen; se aplica cuando la imagen termina de cargar
     offsetEditorState: {
         isOpen: false,
         targetFrameId: null,
@@ -136,6 +92,7 @@ export const App = {
         isDragging: false,
         targetThumb: null,
         frameId: null,
+        entryIndex: 0, // Posición en el clip de la miniatura que se arrastra
         startY: 0,
         initialOffsetY: 0,
         minY: 0,
@@ -144,6 +101,8 @@ export const App = {
     },
     // --- NUEVO: Estado para gestionar popups de herramientas ---
     activeToolPopup: null,
+    removeBgKeyColors: [], // Colores clave elegidos con el cuentagotas ([r, g, b, a])
+    removeBgPreviewSource: null, // Copia reducida de la imagen para la vista previa
 
     init() {
         console.log("Aplicación Sprite Sheet iniciada.");
@@ -153,15 +112,22 @@ export const App = {
         InteractionController.init();
         AnimationManager.init();
         ExportManager.init();
+        ProjectFile.init();
+        AdjustmentManager.init();
+        TemplateManager.init();
         SessionManager.init(); 
     },
 
-    updateAll(saveState = false) {
+    // `historyLabel` es el nombre con el que la operación aparece en el historial de cambios
+    updateAll(saveState = false, historyLabel) {
+        this.syncFrameIdentities();
         if (saveState) {
-            HistoryManager.saveGlobalState();
+            HistoryManager.saveGlobalState(historyLabel);
         }
         CanvasView.drawAll();
+        TemplateManager.renderOptions(); // Antes de UIManager: la salida depende del formato elegido
         UIManager.updateAll();
+        AdjustmentManager.renderPanel();
         AnimationManager.reset();
     },
 
@@ -184,36 +150,41 @@ export const App = {
             DOM.rulerTop.height = 30; DOM.rulerLeft.width = 30;
             DOM.imageDimensionsP.innerHTML = `<strong>${AppState.currentFileName}:</strong> ${w}px &times; ${h}px`;
 
-            if (this.isModifyingImage) {
-                // Image was modified in-place (e.g., background removed)
-                this.isModifyingImage = false;
-                this.updateAll(true); // Redraw and save state with new image
-                SessionManager.addToHistory(); // Update history thumbnail with the new image
-                const message = this.modificationMessage || 'Imagen modificada con éxito.';
-                // After trimming, ask the user if they want to export everything.
-                if (this.modificationMessage && this.modificationMessage.includes('recortada')) {
-                    if (confirm('Hoja de sprites optimizada. ¿Deseas descargar todos los formatos de exportación ahora (ZIP, GIF, Código, JSON)?')) {
-                        ExportManager.exportAllFormats();
-                    }
+            let isNewImage = false;
+            if (this.isReloadingFromStorage) {
+                // This is a project load from history or last session
+                this.isReloadingFromStorage = false;
+                this.isApplyingAdjustments = false;
+                this.updateAll(false);
+                ZoomManager.apply();
+                SessionManager.saveCurrent(true); // La sesión actual pasa a usar la imagen del proyecto cargado
+            } else if (this.isApplyingAdjustments) {
+                // La imagen se ha recalculado tras cambiar la pila de ajustes (ya registrada en el historial)
+                this.isApplyingAdjustments = false;
+                this.updateAll(false);
+                if (this.modificationMessage) {
+                    SessionManager.addToHistory(); // Actualizar la miniatura con la imagen resultante
+                    UIManager.showToast(this.modificationMessage, 'success');
+                    this.modificationMessage = null;
                 }
-                UIManager.showToast(message, 'success');
-                this.modificationMessage = null; // Reset message
-            } else if (!this.isReloadingFromStorage) {
+            } else {
                 // This is a brand new image load
-                HistoryManager.reset();
+                isNewImage = true;
                 this.clearAll(true);
+                HistoryManager.reset(); // La línea base del historial es el proyecto vacío
+                if (this.pendingAtlas) {
+                    // La imagen se eligió junto con su atlas
+                    const atlas = this.pendingAtlas;
+                    this.pendingAtlas = null;
+                    this.applyAtlas(atlas);
+                }
                 SessionManager.addToHistory();
                 ZoomManager.fit();
-            } else { // isReloadingFromStorage is true
-                // This is a project load from history or last session
-                this.updateAll(false);
-                ZoomManager.apply();
-                this.isReloadingFromStorage = false;
             }
             UIManager.setControlsEnabled(true);
 
             // Show tutorial only on first load of a new image
-            if (!this.isReloadingFromStorage && !this.isModifyingImage && !localStorage.getItem('hideTutorial')) {
+            if (isNewImage && !localStorage.getItem('hideTutorial')) {
                 openTutorial();
             }
         };
@@ -230,9 +201,15 @@ export const App = {
                     UIManager.showToast('Proyecto eliminado del historial.', 'info');
                 }
             } else {
-                const savedState = localStorage.getItem(`history_${id}`);
-                if (savedState) this.loadProjectState(JSON.parse(savedState));
-                else UIManager.showToast('No se pudo cargar el proyecto.', 'danger');
+                SessionManager.getHistoryItem(id)
+                    .then(state => {
+                        if (state) this.loadProjectState(state);
+                        else UIManager.showToast('No se pudo cargar el proyecto.', 'danger');
+                    })
+                    .catch(error => {
+                        console.error('Error cargando el proyecto del historial:', error);
+                        UIManager.showToast('No se pudo cargar el proyecto.', 'danger');
+                    });
             }
         });
 
@@ -242,14 +219,32 @@ export const App = {
 
         DOM.dropZone.addEventListener('dragover', (e) => { e.preventDefault(); e.currentTarget.classList.add('dragover'); });
         DOM.dropZone.addEventListener('dragleave', (e) => e.currentTarget.classList.remove('dragleave'));
-        DOM.dropZone.addEventListener('drop', (e) => { e.preventDefault(); e.currentTarget.classList.remove('dragover'); if (e.dataTransfer.files.length) this.handleFile(e.dataTransfer.files[0]); });
-        DOM.imageLoader.addEventListener('change', (e) => { if (e.target.files.length) this.handleFile(e.target.files[0]); });
+        DOM.dropZone.addEventListener('drop', (e) => { e.preventDefault(); e.currentTarget.classList.remove('dragover'); if (e.dataTransfer.files.length) this.handleFiles(e.dataTransfer.files); });
+        DOM.imageLoader.addEventListener('change', (e) => { if (e.target.files.length) this.handleFiles(e.target.files); });
+        DOM.importAtlasButton.addEventListener('click', () => DOM.atlasFileLoader.click());
+        DOM.atlasFileLoader.addEventListener('change', (e) => {
+            if (e.target.files.length) this.handleFiles(e.target.files);
+            e.target.value = ''; // Permitir reimportar el mismo archivo
+        });
         DOM.selectToolButton.addEventListener('click', () => this.setActiveTool('select'));
         DOM.createFrameToolButton.addEventListener('click', () => this.setActiveTool('create'));
         DOM.eraserToolButton.addEventListener('click', () => this.setActiveTool('eraser'));
         DOM.removeBgToolButton.addEventListener('click', () => this.toggleRemoveBgPopup());
         DOM.applyRemoveBgButton.addEventListener('click', () => this.removeBackground());
-        DOM.trimSpritesheetButton.addEventListener('click', () => this.trimSpritesheet());
+        DOM.removeBgEyedropperButton.addEventListener('click', () => this.toggleEyedropper());
+        [DOM.removeBgToleranceInput, DOM.removeBgSmoothIntensitySelect, DOM.removeBgModeSelect].forEach(input =>
+            input.addEventListener('input', () => this.updateRemoveBgPreview()));
+        DOM.removeBgColorsList.addEventListener('click', (e) => {
+            const chip = e.target.closest('.key-color-chip');
+            if (!chip) return;
+            this.removeBgKeyColors.splice(Number(chip.dataset.index), 1);
+            this.renderKeyColorList();
+            this.updateRemoveBgPreview();
+        });
+        DOM.trimSpritesheetButton.addEventListener('click', () => this.toggleRepackPopup());
+        DOM.applyRepackButton.addEventListener('click', () => this.trimSpritesheet());
+        [DOM.repackModeSelect, DOM.repackMarginInput].forEach(input =>
+            input.addEventListener('input', () => this.updateRepackPreview()));
         // --- NUEVO: Inspector de Frames ---
         DOM.frameInspectorToolButton.addEventListener('click', () => this.openFrameInspector());
         DOM.closeInspectorButton.addEventListener('click', () => this.closeFrameInspector());
@@ -289,6 +284,10 @@ export const App = {
         DOM.zoomFitButton.addEventListener('click', () => ZoomManager.fit());
         DOM.undoButton.addEventListener('click', () => HistoryManager.undo());
         DOM.redoButton.addEventListener('click', () => HistoryManager.redo());
+        DOM.undoHistoryList.addEventListener('click', (e) => {
+            const li = e.target.closest('li');
+            if (li) HistoryManager.goTo(Number(li.dataset.historyPosition));
+        });
 
         DOM.snapToGridCheckbox.addEventListener('change', (e) => {
             AppState.isSnapToGridEnabled = e.target.checked;
@@ -301,6 +300,17 @@ export const App = {
                 if (AppState.isSnapToGridEnabled) CanvasView.drawAll();
             }
         });
+        // El guid no forma parte del historial: solo identifica la imagen en Unity
+        DOM.unityGuidInput.addEventListener('change', (e) => {
+            const guid = e.target.value.trim().toLowerCase();
+            if (guid !== '' && !isUnityGuid(guid)) {
+                UIManager.showToast('El guid de Unity debe tener 32 caracteres hexadecimales (0-9, a-f).', 'warning');
+            } else if (guid !== '') {
+                AppState.unityGuid = guid;
+                SessionManager.saveCurrent(false);
+            }
+            UIManager.updateJsonOutput();
+        });
 
 
         // Listeners para los nuevos inputs de offset
@@ -314,8 +324,7 @@ export const App = {
 
                 AppState.subFrameOffsets[subFrameId] = { x: newOffsetX, y: newOffsetY };
                 
-                SessionManager.saveCurrent(); // Guardar el estado en la sesión
-                this.updateAll(false); // Redibujar todo para ver cambios en la previsualización
+                this.updateAll(true, `Offset de F${subFrameId}`); // Guardar y redibujar para ver cambios en la previsualización
             });
         });
 
@@ -324,7 +333,7 @@ export const App = {
             const newName = prompt("Nombre del nuevo clip:", `Clip ${AppState.clips.length + 1}`);
             if (newName) {
                 this.createNewClip(newName); // 1. Modifica el estado
-                this.updateAll(false);      // 2. Actualiza la UI
+                this.updateAll(true, `Crear clip "${newName}"`); // 2. Registra y actualiza la UI
                 UIManager.showToast(`Clip "${newName}" creado.`, 'success');
             }
         });
@@ -332,19 +341,22 @@ export const App = {
         DOM.renameClipButton.addEventListener('click', () => this.renameClip());
         DOM.deleteClipButton.addEventListener('click', () => this.deleteClip());
         DOM.clipsSelect.addEventListener('change', (e) => { AppState.activeClipId = parseInt(e.target.value); this.updateAll(false); });
+        DOM.clipDirectionSelect.addEventListener('change', (e) => this.setClipPlayback({ direction: e.target.value }));
+        DOM.clipOnceCheckbox.addEventListener('change', (e) => this.setClipPlayback({ once: e.target.checked }));
+        DOM.clipLoopStartSelect.addEventListener('change', (e) => this.setClipPlayback({ loopStart: parseInt(e.target.value, 10) }));
         DOM.selectAllFramesButton.addEventListener('click', () => {
             const clip = AppState.getActiveClip();
             if (clip) {
-                clip.frameIds = AppState.getFlattenedFrames().map(f => f.id);
-                this.updateAll(false); SessionManager.saveCurrent();
+                AppState.setClipFrames(clip, AppState.getFlattenedFrames().map(f => f.id));
+                this.updateAll(true, `Añadir todos a "${clip.name}"`);
                 UIManager.showToast(`Todos los frames añadidos a "${clip.name}".`, 'info');
             }
         });
         DOM.deselectAllFramesButton.addEventListener('click', () => {
             const clip = AppState.getActiveClip();
             if (clip) {
-                clip.frameIds = [];
-                this.updateAll(false); SessionManager.saveCurrent();
+                AppState.setClipFrames(clip, []);
+                this.updateAll(true, `Vaciar "${clip.name}"`);
                 UIManager.showToast(`Todos los frames quitados de "${clip.name}".`, 'info');
             }
         });
@@ -353,9 +365,9 @@ export const App = {
                 const clip = AppState.getActiveClip();
                 if (!clip) return;
                 const id = e.target.dataset.frameId; // ID ahora es un string
-                if (e.target.checked) { if (!clip.frameIds.includes(id)) clip.frameIds.push(id); } 
-                else { clip.frameIds = clip.frameIds.filter(fid => fid !== id); }
-                this.updateAll(false); SessionManager.saveCurrent();
+                if (e.target.checked) { if (!clip.frameIds.includes(id)) AppState.setClipFrames(clip, [...clip.frameIds, id]); } 
+                else { AppState.setClipFrames(clip, clip.frameIds.filter(fid => fid !== id)); }
+                this.updateAll(true, `${e.target.checked ? 'Añadir' : 'Quitar'} F${id} ${e.target.checked ? 'a' : 'de'} "${clip.name}"`);
             }
         });
         DOM.clearButton.addEventListener('click', () => { if(confirm('¿Seguro?')) this.clearAll(false); });
@@ -366,6 +378,11 @@ export const App = {
         const timelineContainer = DOM.inspectorTimelineContainer;
         DOM.timelineAlignBottomBtn.addEventListener('click', () => this.alignTimelineFramesBottom());
 
+        timelineContainer.addEventListener('change', (e) => {
+            if (e.target.classList.contains('timeline-duration')) this.setTimelineDuration(Number(e.target.dataset.index), e.target.value);
+            if (e.target.classList.contains('timeline-events')) this.setTimelineEvents(Number(e.target.dataset.index), e.target.value);
+        });
+
         timelineContainer.addEventListener('mousedown', (e) => {
             const thumb = e.target.closest('.timeline-thumb');
             if (thumb && !this.timelineEditorState.isDragging) {
@@ -375,6 +392,7 @@ export const App = {
                 state.isDragging = true;
                 state.targetThumb = thumb;
                 state.frameId = thumb.dataset.frameId;
+                state.entryIndex = Number(thumb.dataset.index);
                 state.startY = e.clientY;
                 state.initialOffsetY = AppState.subFrameOffsets[state.frameId]?.y || 0;
             }
@@ -385,6 +403,10 @@ export const App = {
         DOM.cancelOffsetEditorBtn.addEventListener('click', () => this.closeOffsetEditor());
         DOM.saveOffsetEditorBtn.addEventListener('click', () => this.saveOffsetChanges());
         DOM.unifyFromEditorBtn.addEventListener('click', () => this.unifyFromEditor());
+        DOM.offsetEditorOnionCheckbox.addEventListener('change', (e) => {
+            AnimationManager.setOnionSkin({ enabled: e.target.checked });
+            this.drawOffsetEditorCanvas();
+        });
 
         // Listeners para los inputs del modal
         [
@@ -443,7 +465,8 @@ export const App = {
                     }
                 }
                 this.updateTimelineUI();
-                AnimationManager.reset();
+                // Se muestra el frame que se arrastra, con sus vecinos si hay papel cebolla
+                AnimationManager.showEntry(timelineState.entryIndex);
             }
 
             // 2. Arrastre en el Editor de Offset Visual
@@ -467,7 +490,7 @@ export const App = {
                 this.timelineEditorState.isDragging = false;
                 const finalOffsetY = AppState.subFrameOffsets[this.timelineEditorState.frameId].y;
                 AppState.subFrameOffsets[this.timelineEditorState.frameId].y = parseFloat(finalOffsetY.toFixed(1));
-                HistoryManager.saveGlobalState();
+                HistoryManager.saveGlobalState(`Altura de F${this.timelineEditorState.frameId}`);
             }
             // 2. Liberación en el Editor de Offset Visual
             if (this.offsetEditorState.isDragging) {
@@ -477,25 +500,146 @@ export const App = {
         });
     },
     
-    loadProjectState(state) {
+    loadProjectState(rawState) {
+        // Migrar a la versión actual del esquema y validar antes de tocar AppState
+        let state, report;
+        try {
+            ({ state, report } = prepareProjectState(rawState));
+        } catch (error) {
+            console.error('Error validando el proyecto:', error);
+            UIManager.showToast(error.message || 'El proyecto no es válido.', 'danger');
+            UIManager.hideLoader();
+            return;
+        }
+        const issues = describeSchemaReport(report);
+        if (issues.length > 0) {
+            console.warn(`Problemas en el proyecto "${state.fileName}":\n${issues.join('\n')}`);
+            if (report.rejected.length > 0) {
+                const shown = issues.slice(0, 10).join('\n') + (issues.length > 10 ? `\n... y ${issues.length - 10} más (ver consola).` : '');
+                if (!confirm(`El proyecto contiene datos dañados que no se pueden recuperar:\n\n${shown}\n\n¿Cargarlo de todos modos sin esos datos?`)) {
+                    UIManager.hideLoader();
+                    return;
+                }
+            }
+        }
+
         this.isReloadingFromStorage = true;
         AppState.currentFileName = state.fileName;
         AppState.frames = state.frames;
         AppState.clips = state.clips;
         AppState.activeClipId = state.activeClipId;
-        AppState.subFrameOffsets = state.subFrameOffsets || {};
+        AppState.subFrameOffsets = state.subFrameOffsets;
+        AppState.adjustments = state.adjustments;
+        AppState.exportTemplates = state.exportTemplates;
+        AppState.unityGuid = state.unityGuid;
+        AppState.sourceImageBlob = state.imageBlob;
         AppState.selectedSlice = null; // Reiniciar slice al cargar
         HistoryManager.setHistoryState(state);
-        DOM.imageDisplay.src = state.imageSrc;
-        UIManager.showToast(`Proyecto "${state.fileName}" cargado.`, 'success');
+        AdjustmentManager.refreshImage(); // El onload de la imagen resultante termina la carga
+        // Un proyecto de una versión anterior se actualiza al cargarlo; se indica en el mismo aviso
+        const migrated = report.migrations.length > 0 ? ` y actualizado al formato actual (${report.migrations.join(', ')})` : '';
+        if (issues.length > 0) {
+            UIManager.showToast(`Proyecto "${state.fileName}" cargado${migrated} con ${issues.length} correcciones (ver consola).`, 'warning');
+        } else {
+            UIManager.showToast(`Proyecto "${state.fileName}" cargado${migrated}.`, 'success');
+        }
     },
     
+    // Admite varios archivos a la vez: un proyecto, una imagen, un atlas o una imagen junto con su atlas
+    handleFiles(fileList) {
+        const files = Array.from(fileList);
+        const project = files.find(f => ProjectFile.isProjectFile(f));
+        if (project) { ProjectFile.open(project); return; }
+        const image = files.find(f => f.type.startsWith('image/'));
+        const atlasFile = files.find(f => isAtlasFile(f));
+        if (atlasFile) this.importAtlasFile(atlasFile, image);
+        else if (image) this.handleFile(image);
+    },
+
+    async importAtlasFile(file, imageFile = null) {
+        let atlas;
+        try {
+            atlas = parseAtlas(await file.text(), file.name);
+        } catch (error) {
+            console.error('Error leyendo el atlas:', error);
+            UIManager.showToast(error.message || 'No se pudo leer el atlas.', 'danger');
+            return;
+        }
+        if (imageFile) {
+            this.pendingAtlas = atlas; // Se aplica en el onload de la imagen
+            this.handleFile(imageFile);
+            return;
+        }
+        if (!AppState.sourceImageBlob) {
+            UIManager.showToast(`Selecciona el atlas junto con su imagen${atlas.image ? ` (${atlas.image})` : ''}.`, 'warning');
+            return;
+        }
+        if (AppState.isLocked) { UIManager.showToast('Desbloquea los frames primero (L)', 'warning'); return; }
+        if (AppState.frames.length > 0 && !confirm('Importar el atlas reemplazará los frames, clips y offsets actuales. ¿Continuar?')) return;
+        this.applyAtlas(atlas);
+    },
+
+    // Sustituye frames, clips y offsets por los de un atlas importado (ver atlasFormats.js)
+    applyAtlas(atlas) {
+        const warnings = [...atlas.warnings];
+        const frames = atlas.frames.map((f, id) => ({ id, name: f.name, rect: { ...f.rect }, type: 'simple' }));
+        const subFrameOffsets = {};
+        atlas.frames.forEach((f, id) => {
+            if (f.offset.x !== 0 || f.offset.y !== 0) subFrameOffsets[`${id}`] = { ...f.offset };
+        });
+
+        const idsByName = new Map();
+        frames.forEach(f => { if (!idsByName.has(f.name)) idsByName.set(f.name, `${f.id}`); });
+        const baseClipId = Date.now();
+        const clips = atlas.clips.map((clip, index) => {
+            const missing = clip.frames.filter(name => !idsByName.has(name));
+            if (missing.length > 0) warnings.push(`Clip "${clip.name}": ${missing.length} frame(s) no existen en el atlas.`);
+            const kept = clip.frames.map((name, i) => i).filter(i => idsByName.has(clip.frames[i]));
+            const newClip = { id: baseClipId + index, name: clip.name, frameIds: kept.map(i => idsByName.get(clip.frames[i])) };
+            if (clip.durations) newClip.frameDurations = kept.map(i => clip.durations[i] ?? null);
+            if (clip.events) newClip.frameEvents = kept.map(i => clip.events[i] ?? null);
+            if (clip.direction) newClip.direction = clip.direction;
+            if (clip.once) newClip.once = true;
+            if (kept.indexOf(clip.loopStart) > 0) newClip.loopStart = kept.indexOf(clip.loopStart);
+            return newClip;
+        });
+
+        const { naturalWidth: w, naturalHeight: h } = DOM.imageDisplay;
+        if (atlas.size && (atlas.size.w !== w || atlas.size.h !== h)) {
+            warnings.push(`El atlas indica una imagen de ${atlas.size.w}×${atlas.size.h}px, pero la cargada mide ${w}×${h}px.`);
+        }
+        const outside = frames.filter(f => f.rect.x + f.rect.w > w || f.rect.y + f.rect.h > h).length;
+        if (outside > 0) warnings.push(`${outside} frame(s) quedan fuera de la imagen.`);
+
+        AppState.frames = frames;
+        AppState.clips = clips;
+        AppState.activeClipId = clips.length > 0 ? clips[0].id : null;
+        AppState.subFrameOffsets = subFrameOffsets;
+        AppState.selectedFrameId = null;
+        AppState.selectedSubFrameId = null;
+        AppState.selectedSlice = null;
+        this.updateAll(true, `Importar atlas (${frames.length} frames)`);
+
+        const summary = `Atlas ${atlas.format} importado: ${frames.length} frames y ${clips.length} clips`;
+        if (warnings.length > 0) {
+            console.warn(`Avisos al importar el atlas:\n${warnings.join('\n')}`);
+            UIManager.showToast(`${summary} (${warnings.length} avisos, ver consola).`, 'warning');
+        } else {
+            UIManager.showToast(`${summary}.`, 'success');
+        }
+    },
+
     handleFile(file) {
+        if (ProjectFile.isProjectFile(file)) { ProjectFile.open(file); return; }
         if (!file || !file.type.startsWith('image/')) return;
         AppState.currentFileName = file.name;
-        const reader = new FileReader();
-        reader.onload = (e) => { DOM.imageDisplay.src = e.target.result; this.isReloadingFromStorage = false; };
-        reader.readAsDataURL(file);
+        // La imagen nueva es la original de la pila de ajustes, que empieza vacía
+        AppState.sourceImageBlob = file;
+        AppState.adjustments = [];
+        AppState.unityGuid = null; // Otra imagen es otro asset para Unity
+        this.isReloadingFromStorage = false;
+        this.isApplyingAdjustments = false;
+        AdjustmentManager.showImage(file);
     },
 
     setActiveTool(toolName) {
@@ -503,6 +647,7 @@ export const App = {
         document.querySelectorAll('.left-toolbar .tool-btn').forEach(btn => btn.classList.remove('active'));
         const activeBtn = document.getElementById(`${toolName}-tool-button`);
         if (activeBtn) activeBtn.classList.add('active');
+        DOM.removeBgEyedropperButton.classList.toggle('active', toolName === 'eyedropper');
         DOM.canvas.classList.toggle('cursor-eraser', toolName === 'eraser');
     },
 
@@ -514,7 +659,7 @@ export const App = {
         AppState.selectedSubFrameId = null;
         AppState.subFrameOffsets = {};
         AppState.selectedSlice = null;
-        if (!isInitial) this.updateAll(true);
+        if (!isInitial) this.updateAll(true, 'Limpiar todo');
     },
 
     addNewFrame(rect) {
@@ -523,6 +668,31 @@ export const App = {
         AppState.selectedFrameId = newId;
     },
 
+    // Fija las identidades de las celdas de los grupos y limpia las referencias a las que han desaparecido
+    syncFrameIdentities() {
+        const lostIds = AppState.syncCellIdentities();
+        if (lostIds.length === 0) return;
+        const affectedClips = this.removeSubFrameReferences(lostIds);
+        console.warn(`Sub-frames eliminados al editar las divisiones: ${lostIds.join(', ')}`);
+        if (affectedClips.length > 0) {
+            UIManager.showToast(`${lostIds.length} sub-frame(s) desaparecieron y se quitaron de: ${affectedClips.join(', ')}.`, 'warning');
+        }
+    },
+
+    // Quita los sub-frames indicados de los clips y de los offsets. Devuelve los nombres de los clips afectados.
+    removeSubFrameReferences(ids) {
+        const idsToRemove = new Set(ids);
+        const affectedClips = [];
+        AppState.clips.forEach(clip => {
+            const remaining = clip.frameIds.filter(id => !idsToRemove.has(id));
+            if (remaining.length !== clip.frameIds.length) affectedClips.push(clip.name);
+            AppState.setClipFrames(clip, remaining);
+        });
+        idsToRemove.forEach(id => delete AppState.subFrameOffsets[id]);
+        if (idsToRemove.has(AppState.selectedSubFrameId)) AppState.selectedSubFrameId = null;
+        return affectedClips;
+    },
+
     deleteFrame(frameId) {
         const frameToDelete = AppState.frames.find(f => f.id === frameId);
         if (!frameToDelete) return;
@@ -531,12 +701,8 @@ export const App = {
         if (AppState.selectedFrameId === frameId) { AppState.selectedFrameId = null; AppState.selectedSlice = null; }
         const subFrameIdsAfter = new Set(AppState.getFlattenedFrames().map(f => f.id));
         const idsToRemove = subFrameIdsBefore.filter(id => !subFrameIdsAfter.has(id));
-        if (idsToRemove.length > 0) {
-            AppState.clips.forEach(clip => {
-                clip.frameIds = clip.frameIds.filter(id => !idsToRemove.includes(id));
-            });
-        }
-        this.updateAll(true);
+        if (idsToRemove.length > 0) this.removeSubFrameReferences(idsToRemove);
+        this.updateAll(true, `Eliminar ${frameToDelete.name}`);
         UIManager.showToast(`Frame ${frameToDelete.name} eliminado.`, 'success');
     },
     
@@ -546,7 +712,6 @@ export const App = {
         const newClip = { id: Date.now(), name: name, frameIds: [] };
         AppState.clips.push(newClip);
         AppState.activeClipId = newClip.id;
-        SessionManager.saveCurrent();
     },
 
     renameClip() {
@@ -554,18 +719,40 @@ export const App = {
         if (clip) {
             const newName = prompt("Nuevo nombre:", clip.name);
             if(newName) { 
-                clip.name = newName; this.updateAll(false); SessionManager.saveCurrent();
+                const oldName = clip.name;
+                clip.name = newName; this.updateAll(true, `Renombrar "${oldName}" a "${newName}"`);
                 UIManager.showToast(`Clip renombrado a "${newName}".`, 'success'); 
             }
         }
     },
 
+    // Cambia cómo se reproduce el clip activo. Los valores por defecto (adelante, en bucle,
+    // desde el inicio) no se guardan en el clip.
+    setClipPlayback({ direction, once, loopStart }) {
+        const clip = AppState.getActiveClip();
+        if (!clip) return;
+        if (direction !== undefined) {
+            if (direction === 'forward') delete clip.direction;
+            else clip.direction = direction;
+        }
+        if (once !== undefined) {
+            if (once) clip.once = true;
+            else delete clip.once;
+        }
+        if (loopStart !== undefined) {
+            if (loopStart > 0) clip.loopStart = loopStart;
+            else delete clip.loopStart;
+        }
+        this.updateAll(true, `Reproducción de "${clip.name}"`);
+    },
+
     deleteClip() {
         if (AppState.clips.length <= 1) { UIManager.showToast("No puedes eliminar el último clip.", 'warning'); return; }
-        if(confirm(`¿Eliminar el clip "${AppState.getActiveClip().name}"?`)) {
+        const clipName = AppState.getActiveClip().name;
+        if(confirm(`¿Eliminar el clip "${clipName}"?`)) {
             AppState.clips = AppState.clips.filter(c => c.id !== AppState.activeClipId);
             AppState.activeClipId = AppState.clips[0]?.id || null;
-            this.updateAll(false); SessionManager.saveCurrent();
+            this.updateAll(true, `Eliminar clip "${clipName}"`);
         }
     },
 
@@ -579,36 +766,51 @@ export const App = {
 
     // --- NUEVO: Gestión de Popups de Herramientas ---
     toggleRemoveBgPopup() {
-        const popup = DOM.removeBgPopup;
-        if (this.activeToolPopup === popup) {
+        if (this.activeToolPopup === DOM.removeBgPopup) {
             this.hideActivePopup();
         } else {
-            this.hideActivePopup(); // Ocultar cualquier otro popup abierto
-            const popup = DOM.removeBgPopup;
-            const buttonRect = DOM.removeBgToolButton.getBoundingClientRect();
-            const margin = 10;
-
-            // Medimos la altura del popup (offsetHeight funciona aunque tenga opacity: 0)
-            const popupHeight = popup.offsetHeight;
-            const windowHeight = window.innerHeight;
-
-            // Posición vertical inicial (alineado con el botón)
-            let topPos = buttonRect.top;
-
-            // Comprobar si se desborda por la parte inferior
-            if (topPos + popupHeight + margin > windowHeight) {
-                // Si se desborda, lo alineamos con la parte de abajo de la pantalla
-                topPos = windowHeight - popupHeight - margin;
-            }
+            this.showToolPopup(DOM.removeBgPopup, DOM.removeBgToolButton);
+            this.removeBgPreviewSource = null; // La imagen puede haber cambiado desde la última vez
+            this.renderKeyColorList();
+            this.updateRemoveBgPreview();
+        }
+    },
+
+    toggleRepackPopup() {
+        if (this.activeToolPopup === DOM.repackPopup) {
+            this.hideActivePopup();
+        } else {
+            this.showToolPopup(DOM.repackPopup, DOM.trimSpritesheetButton);
+            this.updateRepackPreview();
+        }
+    },
+
+    // Abre un popup junto al botón de su herramienta
+    showToolPopup(popup, button) {
+        this.hideActivePopup(); // Ocultar cualquier otro popup abierto
+        const buttonRect = button.getBoundingClientRect();
+        const margin = 10;
+
+        // Medimos la altura del popup (offsetHeight funciona aunque tenga opacity: 0)
+        const popupHeight = popup.offsetHeight;
+        const windowHeight = window.innerHeight;
 
-            // Asegurarse de que no se desborde por la parte superior
-            topPos = Math.max(margin, topPos);
+        // Posición vertical inicial (alineado con el botón)
+        let topPos = buttonRect.top;
 
-            popup.style.top = `${topPos}px`;
-            popup.style.left = `${buttonRect.right + margin}px`;
-            popup.classList.remove('hidden');
-            this.activeToolPopup = popup;
+        // Comprobar si se desborda por la parte inferior
+        if (topPos + popupHeight + margin > windowHeight) {
+            // Si se desborda, lo alineamos con la parte de abajo de la pantalla
+            topPos = windowHeight - popupHeight - margin;
         }
+
+        // Asegurarse de que no se desborde por la parte superior
+        topPos = Math.max(margin, topPos);
+
+        popup.style.top = `${topPos}px`;
+        popup.style.left = `${buttonRect.right + margin}px`;
+        popup.classList.remove('hidden');
+        this.activeToolPopup = popup;
     },
 
     hideActivePopup() {
@@ -616,236 +818,190 @@ export const App = {
             this.activeToolPopup.classList.add('hidden');
             this.activeToolPopup = null;
         }
+        if (AppState.activeTool === 'eyedropper') this.toggleEyedropper();
     },
-    // --- FIN ---
 
-    async removeBackground() {
-        if (AppState.isLocked) { UIManager.showToast('Desbloquea los frames primero (L)', 'warning'); return; }
-        if (!DOM.imageDisplay.src || DOM.imageDisplay.src.startsWith('http') || DOM.imageDisplay.naturalWidth === 0) {
-            UIManager.showToast('No hay imagen cargada para procesar.', 'warning');
-            return;
-        }
+    // El cuentagotas es una herramienta temporal del popup: mientras está activa, cada clic
+    // en el lienzo añade el color del píxel a los colores clave.
+    toggleEyedropper() {
+        this.setActiveTool(AppState.activeTool === 'eyedropper' ? 'select' : 'eyedropper');
+    },
 
-        if (!confirm('Esta acción modificará la imagen permanentemente para esta sesión (puedes cambiar la imagen para revertir). ¿Deseas continuar?')) {
+    pickKeyColor(pos) {
+        const x = Math.floor(pos.x), y = Math.floor(pos.y);
+        if (x < 0 || y < 0 || x >= DOM.imageDisplay.naturalWidth || y >= DOM.imageDisplay.naturalHeight) return;
+        const sampleCanvas = document.createElement('canvas');
+        sampleCanvas.width = 1; sampleCanvas.height = 1;
+        const sampleCtx = sampleCanvas.getContext('2d');
+        sampleCtx.drawImage(DOM.imageDisplay, x, y, 1, 1, 0, 0, 1, 1);
+        const [r, g, b, a] = sampleCtx.getImageData(0, 0, 1, 1).data;
+        if (a === 0) { UIManager.showToast('Ese píxel ya es transparente.', 'info'); return; }
+        if (this.removeBgKeyColors.some(color => color[0] === r && color[1] === g && color[2] === b)) return;
+        this.removeBgKeyColors.push([r, g, b, 255]);
+        this.renderKeyColorList();
+        this.updateRemoveBgPreview();
+    },
+
+    renderKeyColorList() {
+        if (this.removeBgKeyColors.length === 0) {
+            DOM.removeBgColorsList.innerHTML = `<span class="key-color-auto">Automático (borde)</span>`;
             return;
         }
+        DOM.removeBgColorsList.innerHTML = this.removeBgKeyColors.map(([r, g, b], index) =>
+            `<span class="key-color-chip" data-index="${index}" style="background-color: rgb(${r}, ${g}, ${b});" title="rgb(${r}, ${g}, ${b}) · clic para quitar"></span>`
+        ).join('');
+    },
 
-        this.hideActivePopup(); // Ocultar el popup al aplicar
-        UIManager.showLoader('Eliminando fondo...');
-        
-        // Use a timeout to allow the loader to show
-        await new Promise(resolve => setTimeout(resolve, 50));
+    // Pasos que añadirá "Aplicar" con las opciones actuales del popup
+    getRemoveBgSteps() {
+        const tolerance = parseInt(DOM.removeBgToleranceInput.value, 10) || 0;
+        const intensity = DOM.removeBgSmoothIntensitySelect.value;
+        const steps = [createAdjustment('removeBackground', {
+            tolerance,
+            colors: this.removeBgKeyColors.map(color => [...color]),
+            mode: DOM.removeBgModeSelect.value
+        })];
+        if (intensity !== 'none') steps.push(createAdjustment('smoothEdges', { intensity }));
+        return steps;
+    },
 
-        try {
-            const imageEl = DOM.imageDisplay;
-            const w = imageEl.naturalWidth;
-            const h = imageEl.naturalHeight;
-
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCanvas.width = w;
-            tempCanvas.height = h;
-            tempCtx.drawImage(imageEl, 0, 0);
-
-            const imageData = tempCtx.getImageData(0, 0, w, h);
-            const data = imageData.data;
-
-            const tolerance = parseInt(DOM.removeBgToleranceInput.value, 10);
-            const intensity = DOM.removeBgSmoothIntensitySelect.value;
-            const bgColor = detectBackgroundColor(data, w, h);
-
-            for (let i = 0; i < data.length; i += 4) {
-                if (isBackgroundColor(data, i, bgColor, tolerance)) {
-                    data[i + 3] = 0; // Set alpha to 0
-                }
-            }
+    // Vista previa antes/después sobre una copia reducida de la imagen actual
+    updateRemoveBgPreview() {
+        if (this.activeToolPopup !== DOM.removeBgPopup || DOM.imageDisplay.naturalWidth === 0) return;
+        const PREVIEW_SIZE = 200;
+        if (!this.removeBgPreviewSource) {
+            const { naturalWidth: w, naturalHeight: h } = DOM.imageDisplay;
+            const scale = Math.min(1, PREVIEW_SIZE / Math.max(w, h));
+            const source = document.createElement('canvas');
+            source.width = Math.max(1, Math.round(w * scale));
+            source.height = Math.max(1, Math.round(h * scale));
+            const sourceCtx = source.getContext('2d');
+            sourceCtx.imageSmoothingEnabled = false; // Sin interpolar, para no mezclar los colores clave
+            sourceCtx.drawImage(DOM.imageDisplay, 0, 0, source.width, source.height);
+            this.removeBgPreviewSource = source;
+        }
+        const source = this.removeBgPreviewSource;
+        const working = document.createElement('canvas');
+        working.width = source.width; working.height = source.height;
+        working.getContext('2d').drawImage(source, 0, 0);
+        const result = applyAdjustmentsToCanvas(working, this.getRemoveBgSteps());
+
+        [[DOM.removeBgPreviewBefore, source], [DOM.removeBgPreviewAfter, result]].forEach(([canvas, image]) => {
+            canvas.width = image.width; canvas.height = image.height;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+        });
+    },
+    // --- FIN ---
 
-            // --- MODIFICADO: Suavizado de bordes opcional ---
-            if (intensity !== 'none') {
-                let colorBlendFactor, alphaFeatherFactor;
-
-                switch (intensity) {
-                    case 'low':
-                        colorBlendFactor = 0.3;  // Menos mezcla de color
-                        alphaFeatherFactor = 0.25; // Feathering más sutil
-                        break;
-                    case 'high':
-                        colorBlendFactor = 0.7;  // Más mezcla de color
-                        alphaFeatherFactor = 0.75; // Feathering más pronunciado
-                        break;
-                    case 'medium':
-                    default:
-                        colorBlendFactor = 0.5;  // Mezcla 50/50
-                        alphaFeatherFactor = 0.5;  // Equivalente a Math.sqrt()
-                }
+    removeBackground() {
+        if (AppState.isLocked) { UIManager.showToast('Desbloquea los frames primero (L)', 'warning'); return; }
+        if (!AppState.sourceImageBlob || DOM.imageDisplay.naturalWidth === 0) {
+            UIManager.showToast('No hay imagen cargada para procesar.', 'warning');
+            return;
+        }
 
-                const newData = new Uint8ClampedArray(data); // Trabajar sobre una copia para leer los datos originales
-                const alphaThreshold = 10; // Píxeles por debajo de este alfa se consideran fondo
-
-                for (let y = 0; y < h; y++) {
-                    for (let x = 0; x < w; x++) {
-                        const i = (y * w + x) * 4;
-
-                        // Si el píxel actual es parte del sprite (no es transparente)
-                        if (data[i + 3] > alphaThreshold) {
-                            let transparentNeighbors = 0;
-                            let solidNeighborCount = 0;
-                            let avgR = 0, avgG = 0, avgB = 0;
-
-                            // Revisar vecinos en 8 direcciones (3x3)
-                            for (let dy = -1; dy <= 1; dy++) {
-                                for (let dx = -1; dx <= 1; dx++) {
-                                    if (dx === 0 && dy === 0) continue;
-                                    const nx = x + dx;
-                                    const ny = y + dy;
-
-                                    if (nx >= 0 && nx < w && ny >= 0 && ny < h) {
-                                        const ni = (ny * w + nx) * 4;
-                                        if (data[ni + 3] < alphaThreshold) {
-                                            transparentNeighbors++;
-                                        } else {
-                                            solidNeighborCount++;
-                                            avgR += data[ni];
-                                            avgG += data[ni + 1];
-                                            avgB += data[ni + 2];
-                                        }
-                                    }
-                                }
-                            }
-
-                            // Si es un píxel de borde (tiene vecinos transparentes)
-                            if (transparentNeighbors > 0) {
-                                // MEJORA: Suavizar color con factor de intensidad
-                                if (solidNeighborCount > 0) {
-                                    const neighborR = avgR / solidNeighborCount;
-                                    const neighborG = avgG / solidNeighborCount;
-                                    const neighborB = avgB / solidNeighborCount;
-                                    newData[i]   = data[i]   * (1 - colorBlendFactor) + neighborR * colorBlendFactor;
-                                    newData[i+1] = data[i+1] * (1 - colorBlendFactor) + neighborG * colorBlendFactor;
-                                    newData[i+2] = data[i+2] * (1 - colorBlendFactor) + neighborB * colorBlendFactor;
-                                }
-                                
-                                // MEJORA: Suavizar alfa (feathering) con factor de intensidad
-                                const solidRatio = solidNeighborCount / (solidNeighborCount + transparentNeighbors);
-                                newData[i + 3] = data[i + 3] * Math.pow(solidRatio, alphaFeatherFactor);
-                            }
-                        }
-                    }
-                }
-                // Copiar los datos suavizados de vuelta al array de datos principal
-                data.set(newData);
-            }
+        this.hideActivePopup(); // Ocultar el popup al aplicar
 
-            tempCtx.putImageData(imageData, 0, 0);
+        // Se añaden como pasos de la pila de ajustes: la imagen original no se modifica
+        AdjustmentManager.add(this.getRemoveBgSteps(), 'Eliminar fondo', 'Fondo eliminado con éxito. Puedes ajustarlo o quitarlo en "Ajustes de Imagen".');
+    },
 
-            this.isModifyingImage = true; // Set flag before changing src
-            this.modificationMessage = 'Fondo eliminado con éxito.';
-            // The onload event will handle hiding the loader, updating UI, and showing toast.
-            DOM.imageDisplay.src = tempCanvas.toDataURL('image/png');
+    // Disposición del reempaquetado con las opciones del popup
+    getRepackPlan() {
+        const mode = DOM.repackModeSelect.value;
+        const margin = Math.max(0, parseInt(DOM.repackMarginInput.value, 10) || 0);
+        return { mode, margin, ...planRepack(AppState.getFlattenedFrames(), AppState.clips, { mode, margin }) };
+    },
 
+    // Vista previa reducida de la hoja reempaquetada con el contorno de las celdas nuevas
+    updateRepackPreview() {
+        if (this.activeToolPopup !== DOM.repackPopup) return;
+        const PREVIEW_SIZE = 210;
+        const canvas = DOM.repackPreviewCanvas;
+        let plan;
+        try {
+            plan = this.getRepackPlan();
         } catch (error) {
-            console.error("Error eliminando el fondo:", error);
-            UIManager.showToast('Ocurrió un error al eliminar el fondo.', 'danger');
-            this.isModifyingImage = false;
-            UIManager.hideLoader(); // Hide loader on error
+            canvas.width = canvas.height = 0;
+            DOM.repackPreviewInfo.textContent = error.message;
+            return;
         }
+        const scale = Math.min(1, PREVIEW_SIZE / Math.max(plan.width, plan.height));
+        canvas.width = Math.max(1, Math.round(plan.width * scale));
+        canvas.height = Math.max(1, Math.round(plan.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.scale(scale, scale);
+        ctx.strokeStyle = 'rgba(0, 150, 255, 0.8)';
+        ctx.lineWidth = 1 / scale;
+        plan.cells.forEach(cell => {
+            const { x, y, w, h } = cell.source.rect;
+            if (DOM.imageDisplay.naturalWidth > 0) ctx.drawImage(DOM.imageDisplay, x, y, w, h, cell.x, cell.y, w, h);
+            ctx.strokeRect(cell.rect.x, cell.rect.y, cell.rect.w, cell.rect.h);
+        });
+        const clipCount = plan.clipCells.filter(cells => cells.some(index => index !== null)).length;
+        DOM.repackPreviewInfo.textContent = `${plan.width}×${plan.height}px · ${plan.cells.length} frames · ${clipCount} clips`;
     },
 
     async trimSpritesheet() {
         if (AppState.isLocked) { UIManager.showToast('Desbloquea los frames primero (L)', 'warning'); return; }
-        const allFrames = AppState.getFlattenedFrames();
-        if (allFrames.length === 0) {
+        if (AppState.getFlattenedFrames().length === 0) {
             UIManager.showToast('No hay frames definidos para re-empaquetar.', 'warning');
             return;
         }
 
-        if (!confirm('¡ACCIÓN DESTRUCTIVA!\n\nEsto creará una nueva hoja de sprites organizando todos los frames en una parrilla. Cada frame se alineará en una celda de tamaño uniforme para evitar saltos en animaciones. Se perderá la estructura de grupos y clips. La nueva imagen se descargará y reemplazará a la actual.\n\n¿Deseas continuar?')) {
-            return;
-        }
-
-        UIManager.showLoader('Organizando sprites en parrilla...');
-        await new Promise(resolve => setTimeout(resolve, 50));
-
         try {
-            // 1. Encontrar dimensiones máximas para crear celdas uniformes
-            const maxWidth = Math.max(...allFrames.map(f => f.rect.w));
-            const maxHeight = Math.max(...allFrames.map(f => f.rect.h));
+            // 1. Calcular la nueva disposición con las opciones elegidas en la vista previa
+            const { mode, margin, width, height, cells, clipCells } = this.getRepackPlan();
+            if (width <= 0 || height <= 0) throw new Error("El área de la nueva hoja es inválida.");
+            this.hideActivePopup();
 
-            // 2. Configurar el layout de la parrilla
-            const margin = 5; // Espacio extra alrededor de cada sprite dentro de su celda
-            const cellWidth = maxWidth + margin * 2;
-            const cellHeight = maxHeight + margin * 2;
-            const numFrames = allFrames.length;
-
-            // Intentar que la parrilla sea más ancha que alta, si es posible
-            const cols = Math.ceil(Math.sqrt(numFrames * (cellHeight / cellWidth)));
-            const rows = Math.ceil(numFrames / cols);
-
-            const newWidth = cols * cellWidth;
-            const newHeight = rows * cellHeight;
-
-            if (newWidth <= 0 || newHeight <= 0) throw new Error("El área de la nueva parrilla es inválida.");
-
-            // 3. Crear el nuevo canvas y el array para los nuevos frames
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = newWidth;
-            tempCanvas.height = newHeight;
-            const tempCtx = tempCanvas.getContext('2d');
-            const newFrames = [];
-
-            // 4. Iterar sobre los frames originales, dibujarlos en la nueva parrilla y crear las nuevas definiciones de frame
-            allFrames.forEach((originalFrame, index) => {
-                const gridX = index % cols;
-                const gridY = Math.floor(index / cols);
-
-                // Calcular la posición de dibujado DENTRO de la celda para alinear al centro-abajo
-                const drawX = (gridX * cellWidth) + margin + ((maxWidth - originalFrame.rect.w) / 2);
-                const drawY = (gridY * cellHeight) + margin + (maxHeight - originalFrame.rect.h);
-
-                // Dibujar el sprite de la imagen vieja al nuevo canvas en su posición alineada
-                tempCtx.drawImage(
-                    DOM.imageDisplay,
-                    originalFrame.rect.x, originalFrame.rect.y, originalFrame.rect.w, originalFrame.rect.h,
-                    drawX, drawY, originalFrame.rect.w, originalFrame.rect.h
-                );
-
-                // Crear una nueva definición de frame simple que ocupe TODA la celda.
-                // Esto crea la parrilla editable que el usuario quiere.
-                const newFrameRect = {
-                    x: gridX * cellWidth,
-                    y: gridY * cellHeight,
-                    w: cellWidth,
-                    h: cellHeight
+            // 2. Cada celda es un frame simple nuevo. El sprite se mueve dentro de su celda, así que
+            // el offset se desplaza lo mismo para que siga en el mismo sitio al animar.
+            const placements = cells.map(cell => ({ src: { ...cell.source.rect }, x: cell.x, y: cell.y }));
+            const newFrames = cells.map((cell, index) => ({ id: index, name: cell.source.name, rect: { ...cell.rect }, type: 'simple' }));
+            const newOffsets = {};
+            cells.forEach((cell, index) => {
+                const offset = {
+                    x: cell.source.offset.x + cell.x - cell.rect.x,
+                    y: cell.source.offset.y + cell.y - cell.rect.y
                 };
-                newFrames.push({
-                    id: index,
-                    name: originalFrame.name,
-                    rect: newFrameRect,
-                    type: 'simple'
-                });
+                if (offset.x !== 0 || offset.y !== 0) newOffsets[`${index}`] = offset;
             });
 
-            const newImageURL = tempCanvas.toDataURL('image/png');
+            // 3. Los clips apuntan a las celdas nuevas; las duraciones y eventos siguen a su frame
+            const newClips = AppState.clips.map((clip, i) => {
+                const entries = clip.frameIds
+                    .map((id, j) => ({ id: clipCells[i][j], duration: clip.frameDurations?.[j] ?? null, events: clip.frameEvents?.[j] ?? null }))
+                    .filter(entry => entry.id !== null);
+                const remapped = { ...clip, frameIds: entries.map(entry => `${entry.id}`) };
+                if (clip.frameDurations) remapped.frameDurations = entries.map(entry => entry.duration);
+                if (clip.frameEvents) remapped.frameEvents = entries.map(entry => entry.events);
+                return remapped;
+            });
 
-            // 5. Iniciar la descarga de la nueva imagen.
-            const newFileName = `gridded_${AppState.currentFileName}`;
-            const link = document.createElement('a');
-            link.href = newImageURL;
-            link.download = newFileName;
-            document.body.appendChild(link); link.click(); document.body.removeChild(link);
+            // 4. El reempaquetado guarda la disposición anterior para poder desactivarlo o quitarlo
+            const step = createAdjustment('repack', {
+                mode, margin, width, height, placements,
+                layoutBefore: AdjustmentManager.captureLayout(), layoutAfter: null
+            });
 
-            // 6. Reemplazar los frames y clips viejos con el nuevo layout simple
-            AppState.frames = newFrames; AppState.clips = []; AppState.activeClipId = null; AppState.selectedFrameId = null; AppState.selectedSubFrameId = null; AppState.subFrameOffsets = {};
+            // 5. Reemplazar la disposición conservando clips y offsets
+            AppState.frames = newFrames; AppState.clips = newClips; AppState.subFrameOffsets = newOffsets;
+            AppState.selectedFrameId = null; AppState.selectedSubFrameId = null;
 
-            // 7. Actualizar la imagen principal y el estado de la aplicación.
-            this.isModifyingImage = true;
-            this.modificationMessage = 'Hoja de sprites reorganizada en una parrilla. La nueva imagen se ha descargado y ahora se usa en la aplicación.';
-            AppState.currentFileName = newFileName;
-            DOM.imageDisplay.src = newImageURL;
+            // 6. Recalcular la imagen y descargar el resultado
+            const result = await AdjustmentManager.add([step], 'Reorganizar hoja', 'Hoja de sprites reorganizada con sus clips y offsets. La nueva imagen se ha descargado.');
+            if (!result) return;
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(result);
+            link.download = `repacked_${AppState.currentFileName}`;
+            document.body.appendChild(link); link.click(); document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
 
         } catch (error) {
             console.error("Error reorganizando la hoja de sprites:", error);
-            UIManager.showToast('Ocurrió un error al reorganizar la imagen.', 'danger');
+            UIManager.showToast(`Ocurrió un error al reorganizar la imagen: ${error.message}`, 'danger');
             UIManager.hideLoader();
         }
     },
@@ -886,12 +1042,13 @@ export const App = {
             checkbox.addEventListener('change', () => {
                 if (!activeClip) return;
                 if (checkbox.checked) {
-                    if (!activeClip.frameIds.includes(frame.id)) activeClip.frameIds.push(frame.id);
+                    if (!activeClip.frameIds.includes(frame.id)) AppState.setClipFrames(activeClip, [...activeClip.frameIds, frame.id]);
                 } else {
-                    activeClip.frameIds = activeClip.frameIds.filter(id => id !== frame.id);
+                    AppState.setClipFrames(activeClip, activeClip.frameIds.filter(id => id !== frame.id));
                 }
                 card.classList.toggle('is-in-clip', checkbox.checked);
-                this.updateAll(true); // Guardar y actualizar la lista de frames del panel derecho
+                // Guardar y actualizar la lista de frames del panel derecho
+                this.updateAll(true, `${checkbox.checked ? 'Añadir' : 'Quitar'} F${frame.id} ${checkbox.checked ? 'a' : 'de'} "${activeClip.name}"`);
             });
             card.appendChild(checkbox);
 
@@ -989,7 +1146,8 @@ export const App = {
         // --- NUEVO: Lógica para la Línea de Tiempo ---
         const timelineContainer = DOM.inspectorTimelineContainer;
         const timelineEditor = timelineContainer.closest('.timeline-editor');
-        const animFrames = AppState.getAnimationFrames();
+        const timeline = AppState.getClipTimeline();
+        const animFrames = timeline.map(entry => entry.frame);
         timelineContainer.innerHTML = '';
 
         if (animFrames.length > 0) {
@@ -1005,13 +1163,16 @@ export const App = {
             this.timelineEditorState.maxY += padding;
             this.timelineEditorState.rangeY = this.timelineEditorState.maxY - this.timelineEditorState.minY;
 
-            animFrames.forEach(frame => {
+            timeline.forEach(({ frame, index }) => {
+                const entry = document.createElement('div');
+                entry.className = 'timeline-entry';
                 const track = document.createElement('div');
                 track.className = 'timeline-track';
 
                 const thumb = document.createElement('div');
                 thumb.className = 'timeline-thumb';
                 thumb.dataset.frameId = frame.id;
+                thumb.dataset.index = index;
 
                 const canvas = document.createElement('canvas');
                 const ctx = canvas.getContext('2d');
@@ -1031,7 +1192,26 @@ export const App = {
 
                 track.appendChild(thumb);
                 track.appendChild(floorLine);
-                timelineContainer.appendChild(track);
+
+                // Duración propia de la entrada del clip; vacía = la que marcan los fps
+                const durationInput = document.createElement('input');
+                durationInput.type = 'text';
+                durationInput.className = 'timeline-duration';
+                durationInput.dataset.index = index;
+                durationInput.title = 'Duración en ms, o ×2 para mantener el frame el doble. Vacío = según los FPS.';
+
+                // Eventos de la entrada: "paso, disparo={...}"
+                const eventsInput = document.createElement('input');
+                eventsInput.type = 'text';
+                eventsInput.className = 'timeline-events';
+                eventsInput.dataset.index = index;
+                eventsInput.placeholder = 'Eventos';
+                eventsInput.title = 'Eventos separados por comas, con un dato opcional tras "=": paso, disparo={"tipo": "flecha"}';
+
+                entry.appendChild(track);
+                entry.appendChild(durationInput);
+                entry.appendChild(eventsInput);
+                timelineContainer.appendChild(entry);
             });
             
             this.updateTimelineUI(); // Posicionar las miniaturas
@@ -1045,6 +1225,18 @@ export const App = {
         const animFrames = AppState.getAnimationFrames();
         if (animFrames.length === 0) return;
 
+        const clip = AppState.getActiveClip();
+        timelineContainer.querySelectorAll('.timeline-duration').forEach(input => {
+            const own = clip.frameDurations?.[Number(input.dataset.index)] ?? null;
+            input.placeholder = `${Math.round(1000 / AppState.animation.fps)} ms`;
+            if (document.activeElement !== input) input.value = formatFrameDuration(own);
+        });
+        timelineContainer.querySelectorAll('.timeline-events').forEach(input => {
+            const events = AppState.getFrameEvents(clip, Number(input.dataset.index));
+            input.closest('.timeline-entry').classList.toggle('has-events', events.length > 0);
+            if (document.activeElement !== input) input.value = formatFrameEvents(events);
+        });
+
         // --- MODIFICADO: Usar el rango guardado en el estado para una escala fija ---
         const { minY, rangeY } = this.timelineEditorState;
 
@@ -1068,6 +1260,42 @@ export const App = {
         });
     },
 
+    // Acepta milisegundos ("120") o un multiplicador de la duración por defecto ("x2", "×1.5"),
+    // que se guarda como tal para que siga valiendo si cambian los fps
+    setTimelineDuration(index, text) {
+        const clip = AppState.getActiveClip();
+        if (!clip) return;
+        let duration;
+        try {
+            duration = parseFrameDuration(text);
+        } catch (error) {
+            UIManager.showToast(error.message, 'warning');
+            this.updateTimelineUI();
+            return;
+        }
+        AppState.setFrameDuration(clip, index, duration);
+        this.updateTimelineUI();
+        AnimationManager.reset();
+        HistoryManager.saveGlobalState(`Duración de F${clip.frameIds[index]}`);
+    },
+
+    // Eventos de una entrada del clip escritos como "paso, disparo={...}"; vacío los quita
+    setTimelineEvents(index, text) {
+        const clip = AppState.getActiveClip();
+        if (!clip) return;
+        let events;
+        try {
+            events = parseFrameEvents(text);
+        } catch (error) {
+            UIManager.showToast(error.message, 'warning');
+            this.updateTimelineUI();
+            return;
+        }
+        AppState.setFrameEvents(clip, index, events);
+        this.updateAll(true, `Eventos de F${clip.frameIds[index]}`);
+        this.updateTimelineUI();
+    },
+
     closeFrameInspector() { DOM.frameInspectorPanel.classList.add('hidden'); },
 
     toggleFullscreen() {
@@ -1149,6 +1377,7 @@ export const App = {
         const drawY = state.tempOffset.y * scale;
 
         ctx.imageSmoothingEnabled = false;
+        this.drawOffsetEditorOnionSkin(ctx, scale);
         ctx.drawImage(DOM.imageDisplay, x, y, w, h, drawX, drawY, drawW, drawH);
 
         // 3. Dibujar el borde del lienzo de animación
@@ -1159,6 +1388,24 @@ export const App = {
         ctx.setLineDash([]);
     },
 
+    // Papel cebolla del editor de offset: los vecinos del frame en el clip activo (su primera
+    // aparición), colocados con su offset guardado igual que el frame que se edita
+    drawOffsetEditorOnionSkin(ctx, scale) {
+        const state = this.offsetEditorState;
+        if (!AppState.onionSkin.enabled) return;
+        const clip = AppState.getActiveClip();
+        const timeline = AppState.getClipTimeline(clip);
+        const position = timeline.findIndex(entry => entry.frame.id === state.targetFrameId);
+        if (position === -1) return;
+        getOnionSkinNeighbors(timeline.length, position, { ...AppState.onionSkin, wrap: !clip.once }).forEach(({ index, distance }) => {
+            const neighbor = timeline[index].frame;
+            if (neighbor.id === state.targetFrameId) return;
+            const dest = { x: neighbor.offset.x * scale, y: neighbor.offset.y * scale, w: neighbor.rect.w * scale, h: neighbor.rect.h * scale };
+            const color = distance < 0 ? ONION_SKIN_COLORS.before : ONION_SKIN_COLORS.after;
+            drawTintedFrame(ctx, DOM.imageDisplay, neighbor.rect, dest, color, getOnionSkinAlpha(distance, AppState.onionSkin));
+        });
+    },
+
     updateOffsetEditorInputs(round = false) {
         const state = this.offsetEditorState;
         if (round) {
@@ -1191,7 +1438,7 @@ export const App = {
         // Aplicar el offset final
         AppState.subFrameOffsets[state.targetFrameId] = { ...state.tempOffset };
         
-        HistoryManager.saveGlobalState();
+        HistoryManager.saveGlobalState(`Posición de F${state.targetFrameId}`);
         this.updateAll(false);
         this.openFrameInspector(); // Refrescar el inspector para ver el cambio
         this.closeOffsetEditor();
@@ -1217,19 +1464,19 @@ export const App = {
         const allFrameIds = AppState.getFlattenedFrames().map(f => f.id);
         const currentFrameIds = new Set(clip.frameIds);
         allFrameIds.forEach(id => currentFrameIds.add(id));
-        clip.frameIds = Array.from(currentFrameIds);
+        AppState.setClipFrames(clip, Array.from(currentFrameIds));
 
         this.openFrameInspector(); // Re-render inspector to show changes
-        this.updateAll(true);
+        this.updateAll(true, `Añadir todos a "${clip.name}"`);
         UIManager.showToast(`Todos los frames añadidos a "${clip.name}".`, 'success');
     },
 
     inspectorRemoveAllFromClip() {
         const clip = AppState.getActiveClip();
         if (!clip) { UIManager.showToast('No hay un clip activo seleccionado.', 'warning'); return; }
-        clip.frameIds = [];
+        AppState.setClipFrames(clip, []);
         this.openFrameInspector(); // Re-render inspector
-        this.updateAll(true);
+        this.updateAll(true, `Vaciar "${clip.name}"`);
         UIManager.showToast(`Todos los frames quitados de "${clip.name}".`, 'success');
     },
 
@@ -1295,7 +1542,7 @@ export const App = {
             AppState.subFrameOffsets[frame.id] = { x: offsetX, y: offsetY };
         });
 
-        HistoryManager.saveGlobalState(); // Guardar el nuevo estado en el historial.
+        HistoryManager.saveGlobalState(`Unificar tamaño a ${targetW}x${targetH}`); // Guardar el nuevo estado en el historial.
         this.updateAll(false); // Actualizar toda la UI.
         this.closeFrameInspector(); // Cerrar el inspector para ver el cambio en la previsualización.
         UIManager.showToast(`Tamaño de animación unificado a ${targetW}x${targetH}px (vía offsets).`, 'success');
@@ -1323,7 +1570,7 @@ export const App = {
             AppState.subFrameOffsets[frame.id] = { x: offsetX, y: offsetY };
         });
 
-        HistoryManager.saveGlobalState();
+        HistoryManager.saveGlobalState(`Alinear frames (${alignMode})`);
         this.updateAll(false);
         this.openFrameInspector(); // Refrescar el inspector para mostrar los cambios
         UIManager.showToast(`Frames alineados (offset) a: ${alignMode}.`, 'success');
@@ -1359,7 +1606,7 @@ export const App = {
         for (let i = 1; i < c; i++) newFrame.vSlices.push({ id: Date.now()+i, globalX: i*w, rowOverrides: {} });
         for (let i = 1; i < r; i++) newFrame.hSlices.push(i*h);
         AppState.frames = [newFrame]; AppState.clips = []; AppState.activeClipId = null;
-        this.updateAll(true);
+        this.updateAll(true, `Generar parrilla ${r}x${c}`);
         UIManager.showToast('Parrilla generada con éxito.', 'success');
     },
 
@@ -1372,7 +1619,7 @@ export const App = {
         for (let x=w; x<DOM.canvas.width; x+=w) newFrame.vSlices.push({ id: Date.now()+x, globalX: x, rowOverrides: {} });
         for (let y=h; y<DOM.canvas.height; y+=h) newFrame.hSlices.push(y);
         AppState.frames = [newFrame]; AppState.clips = []; AppState.activeClipId = null;
-        this.updateAll(true);
+        this.updateAll(true, `Generar por tamaño ${w}x${h}`);
         UIManager.showToast('Frames generados por tamaño con éxito.', 'success');
     },
     
@@ -1445,7 +1692,7 @@ export const App = {
                 if (newFrames.length > 0) {
                     AppState.frames = newFrames; AppState.clips = []; AppState.activeClipId = null; AppState.selectedFrameId = null;
                     UIManager.showToast(`¡Detección completada! Se encontraron ${newFrames.length} sprites.`, 'success');
-                    this.updateAll(true);
+                    this.updateAll(true, `Detectar sprites (${newFrames.length})`);
                 } else { UIManager.showToast('No se encontraron sprites con la tolerancia actual.', 'warning'); }
             } catch (error) {
                 console.error("Error en detección de sprites:", error); UIManager.showToast('Ocurrió un error durante la detección.', 'danger');
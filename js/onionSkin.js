@@ -0,0 +1,80 @@
+// --- Módulo de Papel Cebolla ---
+// Dibuja los frames vecinos del que se está viendo, semitransparentes y teñidos (rojo los
+// anteriores, azul los siguientes), para que los saltos entre frames se vean al alinear offsets.
+
+export const ONION_SKIN_COLORS = { before: '#ff4d4d', after: '#4d9dff' };
+
+// Intensidad del tinte sobre los píxeles del sprite
+const TINT_STRENGTH = 0.6;
+
+let scratchCanvas = null;
+
+/**
+ * Vecinos de la posición `index` en una secuencia de `length` entradas, del más lejano al más
+ * cercano para que los cercanos queden encima al dibujarlos en orden.
+ * @param {number} length - Número de entradas de la secuencia
+ * @param {number} index - Posición del frame actual
+ * @param {{before: number, after: number, wrap?: boolean}} options - Cuántos vecinos mostrar a
+ *   cada lado; con wrap, los extremos enlazan con el otro lado (clips en bucle)
+ * @returns {Array<{index: number, distance: number}>} distance es negativa para los anteriores
+ */
+export function getOnionSkinNeighbors(length, index, { before, after, wrap = false }) {
+    const neighbors = [];
+    const used = new Set([index]);
+    const add = (distance) => {
+        let position = index + distance;
+        if (wrap) position = ((position % length) + length) % length;
+        // En secuencias cortas con wrap un mismo frame puede quedar a los dos lados: gana el más cercano
+        if (position < 0 || position >= length || used.has(position)) return;
+        used.add(position);
+        neighbors.push({ index: position, distance });
+    };
+    for (let d = 1; d <= Math.max(before, after); d++) {
+        if (d <= before) add(-d);
+        if (d <= after) add(d);
+    }
+    return neighbors.reverse();
+}
+
+/**
+ * Opacidad de un vecino: la elegida para los contiguos, y menos cuanto más lejos está
+ * @param {number} distance - Distancia al frame actual (con signo)
+ * @param {{before: number, after: number, opacity: number}} settings
+ * @returns {number}
+ */
+export function getOnionSkinAlpha(distance, { before, after, opacity }) {
+    const count = distance < 0 ? before : after;
+    if (count <= 0) return 0;
+    return opacity * (count - Math.abs(distance) + 1) / count;
+}
+
+/**
+ * Dibuja una región de la hoja teñida de un color y con la opacidad indicada
+ * @param {CanvasRenderingContext2D} ctx - Contexto de destino
+ * @param {CanvasImageSource} image - Hoja de sprites
+ * @param {{x: number, y: number, w: number, h: number}} rect - Región del frame en la hoja
+ * @param {{x: number, y: number, w: number, h: number}} dest - Dónde dibujarla en el destino
+ * @param {string} color - Color del tinte
+ * @param {number} alpha - Opacidad (0-1)
+ */
+export function drawTintedFrame(ctx, image, rect, dest, color, alpha) {
+    if (rect.w <= 0 || rect.h <= 0 || alpha <= 0) return;
+    if (!scratchCanvas) scratchCanvas = document.createElement('canvas');
+    scratchCanvas.width = rect.w;
+    scratchCanvas.height = rect.h;
+    const scratch = scratchCanvas.getContext('2d');
+    scratch.drawImage(image, rect.x, rect.y, rect.w, rect.h, 0, 0, rect.w, rect.h);
+    // 'source-atop' solo tiñe los píxeles que ya tienen sprite
+    scratch.globalCompositeOperation = 'source-atop';
+    scratch.globalAlpha = TINT_STRENGTH;
+    scratch.fillStyle = color;
+    scratch.fillRect(0, 0, rect.w, rect.h);
+    scratch.globalCompositeOperation = 'source-over';
+    scratch.globalAlpha = 1;
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(scratchCanvas, 0, 0, rect.w, rect.h, dest.x, dest.y, dest.w, dest.h);
+    ctx.restore();
+}
@@ -0,0 +1,488 @@
+// --- Módulo de Esquema del Proyecto ---
+// Versiona el estado guardado, lo migra paso a paso hasta la versión actual y lo valida
+// antes de asignarlo a AppState. Todo lo que se repara o descarta queda en un informe.
+
+import { commitCellIdentities } from './frameCells.js';
+import { ADJUSTMENT_TYPES } from './imageAdjustments.js';
+import { isValidFrameEvent } from './frameEvents.js';
+import { isValidFrameDuration } from './frameDurations.js';
+import { isUnityGuid } from './atlasFormats.js';
+
+/**
+ * Versión actual del esquema. Se estampa en cada estado que se guarda.
+ * @type {number}
+ */
+export const CURRENT_SCHEMA_VERSION = 4;
+
+/**
+ * Sentidos de reproducción que admite un clip (clip.direction)
+ * @type {string[]}
+ */
+export const CLIP_DIRECTIONS = ['forward', 'reverse', 'pingpong'];
+
+/**
+ * Informe de la preparación de un proyecto
+ * @typedef {Object} SchemaReport
+ * @property {number} fromVersion - Versión con la que se guardó el estado
+ * @property {string[]} migrations - Migraciones aplicadas (ej. "v0 → v1")
+ * @property {string[]} repaired - Datos corregidos automáticamente
+ * @property {string[]} rejected - Datos descartados por no ser recuperables
+ */
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Comprobación mínima para poder calcular las celdas de un grupo (la validación completa viene después)
+const hasValidSlices = (frame) =>
+    isPlainObject(frame.rect) && [frame.rect.w, frame.rect.h].every(isFiniteNumber) &&
+    Array.isArray(frame.hSlices) && frame.hSlices.every(isFiniteNumber) &&
+    Array.isArray(frame.vSlices) && frame.vSlices.every(slice => isPlainObject(slice) && isPlainObject(slice.rowOverrides));
+
+/**
+ * Cadena de migraciones. La clave es la versión de origen; cada función
+ * recibe el estado en esa versión y lo devuelve en la siguiente.
+ */
+const MIGRATIONS = {
+    // v0 → v1: estados guardados antes de versionar el esquema.
+    // Rellena los campos que las versiones antiguas no siempre escribían.
+    0(state, report) {
+        if (!isPlainObject(state.subFrameOffsets)) {
+            state.subFrameOffsets = {};
+            report.repaired.push('Se añadió "subFrameOffsets", que faltaba.');
+        }
+        (Array.isArray(state.frames) ? state.frames : []).forEach(frame => {
+            if (!isPlainObject(frame)) return;
+            if (!frame.type) {
+                frame.type = Array.isArray(frame.hSlices) || Array.isArray(frame.vSlices) ? 'group' : 'simple';
+                report.repaired.push(`Frame ${frame.id}: se asignó el tipo "${frame.type}".`);
+            }
+            if (frame.type === 'group') {
+                if (!Array.isArray(frame.hSlices)) frame.hSlices = [];
+                if (!Array.isArray(frame.vSlices)) frame.vSlices = [];
+                frame.vSlices.forEach(slice => {
+                    if (isPlainObject(slice) && !isPlainObject(slice.rowOverrides)) {
+                        slice.rowOverrides = {};
+                        report.repaired.push(`Frame ${frame.id}: se añadió "rowOverrides" a una división vertical.`);
+                    }
+                });
+            }
+        });
+        return state;
+    },
+
+    // v1 → v2: las celdas de los grupos pasan a tener identidad persistente (frame.cells).
+    // Se fijan con los ids posicionales de v1 para que clips y offsets sigan apuntando a lo mismo.
+    1(state) {
+        (Array.isArray(state.frames) ? state.frames : []).forEach(frame => {
+            if (isPlainObject(frame) && frame.type === 'group' && !Array.isArray(frame.cells) && hasValidSlices(frame)) {
+                commitCellIdentities(frame);
+            }
+        });
+        return state;
+    },
+
+    // v2 → v3: la imagen guardada pasa a ser la original y se añade la pila de ajustes.
+    // En versiones anteriores las ediciones ya estaban aplicadas sobre la imagen, así que empieza vacía.
+    2(state) {
+        if (state.adjustments === undefined) state.adjustments = [];
+        return state;
+    },
+
+    // v3 → v4: plantillas de exportación guardadas con el proyecto.
+    3(state) {
+        if (state.exportTemplates === undefined) state.exportTemplates = [];
+        return state;
+    }
+};
+
+/**
+ * Aplica en orden las migraciones necesarias para llevar el estado a la versión actual
+ * @param {Object} state - Estado (se modifica en el sitio)
+ * @param {SchemaReport} report
+ * @returns {Object} Estado migrado
+ * @throws {Error} Si el estado proviene de una versión más nueva que la soportada
+ */
+function migrateProjectState(state, report) {
+    let version = isFiniteNumber(state.schemaVersion) ? state.schemaVersion : 0;
+    if (version > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`El proyecto usa la versión ${version} del esquema; esta aplicación solo admite hasta la ${CURRENT_SCHEMA_VERSION}.`);
+    }
+    while (version < CURRENT_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) throw new Error(`No existe una migración desde la versión ${version} del esquema.`);
+        state = migrate(state, report);
+        report.migrations.push(`v${version} → v${version + 1}`);
+        version++;
+    }
+    state.schemaVersion = CURRENT_SCHEMA_VERSION;
+    return state;
+}
+
+/**
+ * Valida un rectángulo y lo normaliza (anchos/altos negativos). Devuelve null si no es recuperable.
+ * @param {Object} rect
+ * @returns {{rect: Object, fixed: boolean}|null}
+ */
+function normalizeRect(rect) {
+    if (!isPlainObject(rect) || ![rect.x, rect.y, rect.w, rect.h].every(isFiniteNumber)) return null;
+    let { x, y, w, h } = rect;
+    const fixed = w < 0 || h < 0;
+    if (w < 0) { x += w; w = -w; }
+    if (h < 0) { y += h; h = -h; }
+    if (w === 0 || h === 0) return null;
+    return { rect: { ...rect, x, y, w, h }, fixed };
+}
+
+/**
+ * Valida los frames: ids únicos y numéricos, rectángulos válidos y divisiones coherentes
+ * @param {Object} state
+ * @param {SchemaReport} report
+ */
+function validateFrames(state, report) {
+    if (!Array.isArray(state.frames)) {
+        if (state.frames !== undefined) report.rejected.push('"frames" no es una lista; se descartó.');
+        state.frames = [];
+        return;
+    }
+    const seenIds = new Set();
+    state.frames = state.frames.filter((frame, index) => {
+        if (!isPlainObject(frame)) {
+            report.rejected.push(`Frame en la posición ${index}: no es un objeto.`);
+            return false;
+        }
+        if (typeof frame.id === 'string' && frame.id.trim() !== '' && Number.isFinite(Number(frame.id))) {
+            frame.id = Number(frame.id);
+            report.repaired.push(`Frame ${frame.id}: el id se convirtió a número.`);
+        }
+        if (!isFiniteNumber(frame.id)) {
+            report.rejected.push(`Frame en la posición ${index}: id inválido (${JSON.stringify(frame.id)}).`);
+            return false;
+        }
+        if (seenIds.has(frame.id)) {
+            report.rejected.push(`Frame ${frame.id}: id duplicado.`);
+            return false;
+        }
+        const normalized = normalizeRect(frame.rect);
+        if (!normalized) {
+            report.rejected.push(`Frame ${frame.id}: rectángulo inválido.`);
+            return false;
+        }
+        if (normalized.fixed) report.repaired.push(`Frame ${frame.id}: se corrigió un rectángulo con tamaño negativo.`);
+        frame.rect = normalized.rect;
+        seenIds.add(frame.id);
+
+        if (typeof frame.name !== 'string' || frame.name === '') {
+            frame.name = `frame_${frame.id}`;
+            report.repaired.push(`Frame ${frame.id}: se asignó un nombre.`);
+        }
+        if (frame.type !== 'simple' && frame.type !== 'group') {
+            report.repaired.push(`Frame ${frame.id}: tipo desconocido "${frame.type}", se usará "simple".`);
+            frame.type = 'simple';
+        }
+        if (frame.type === 'group') validateSlices(frame, report);
+        return true;
+    });
+}
+
+/**
+ * Elimina las divisiones de un grupo que no sean números válidos dentro del frame
+ * @param {Object} frame
+ * @param {SchemaReport} report
+ */
+function validateSlices(frame, report) {
+    const hBefore = Array.isArray(frame.hSlices) ? frame.hSlices.length : 0;
+    frame.hSlices = (Array.isArray(frame.hSlices) ? frame.hSlices : []).filter(y => isFiniteNumber(y) && y > 0 && y < frame.rect.h);
+    const vBefore = Array.isArray(frame.vSlices) ? frame.vSlices.length : 0;
+    frame.vSlices = (Array.isArray(frame.vSlices) ? frame.vSlices : []).filter(slice =>
+        isPlainObject(slice) &&
+        (slice.globalX === null || isFiniteNumber(slice.globalX)) &&
+        isPlainObject(slice.rowOverrides) &&
+        Object.values(slice.rowOverrides).every(x => x === null || isFiniteNumber(x))
+    );
+    const dropped = (hBefore - frame.hSlices.length) + (vBefore - frame.vSlices.length);
+    if (dropped > 0) report.repaired.push(`Frame ${frame.id}: se eliminaron ${dropped} divisiones inválidas.`);
+    validateCells(frame, report);
+}
+
+/**
+ * Valida las identidades de celda guardadas. Si no son coherentes se descartan y el grupo
+ * vuelve a usar ids posicionales.
+ * @param {Object} frame
+ * @param {SchemaReport} report
+ */
+function validateCells(frame, report) {
+    if (frame.cells === undefined) return;
+    const prefix = `${frame.id}`;
+    const ids = new Set();
+    const valid = Array.isArray(frame.cells) && frame.cells.every(cell =>
+        isPlainObject(cell) && typeof cell.id === 'string' &&
+        (cell.id === prefix || cell.id.startsWith(`${prefix}_`)) && !ids.has(cell.id) && ids.add(cell.id) &&
+        [cell.x, cell.y, cell.w, cell.h].every(isFiniteNumber)
+    );
+    if (!valid) {
+        delete frame.cells;
+        delete frame.nextCellSeq;
+        report.repaired.push(`Frame ${frame.id}: identidades de celda inválidas; se usarán ids posicionales.`);
+        return;
+    }
+    // El contador debe quedar por encima de cualquier id generado ("<frame>_c<n>")
+    const minSeq = Math.max(0, ...frame.cells.map(cell => {
+        const match = cell.id.match(/_c(\d+)$/);
+        return match ? Number(match[1]) + 1 : 0;
+    }));
+    if (!Number.isInteger(frame.nextCellSeq) || frame.nextCellSeq < minSeq) {
+        if (frame.nextCellSeq !== undefined) report.repaired.push(`Frame ${frame.id}: se corrigió el contador de celdas.`);
+        frame.nextCellSeq = minSeq;
+    }
+}
+
+/**
+ * Valida los clips y sus referencias a frames existentes
+ * @param {Object} state
+ * @param {SchemaReport} report
+ */
+function validateClips(state, report) {
+    if (!Array.isArray(state.clips)) {
+        if (state.clips !== undefined) report.rejected.push('"clips" no es una lista; se descartó.');
+        state.clips = [];
+    }
+    const frameIds = new Set(state.frames.map(f => String(f.id)));
+    const seenIds = new Set();
+    state.clips = state.clips.filter((clip, index) => {
+        if (!isPlainObject(clip)) {
+            report.rejected.push(`Clip en la posición ${index}: no es un objeto.`);
+            return false;
+        }
+        if (typeof clip.name !== 'string' || clip.name === '') {
+            clip.name = `Clip ${index + 1}`;
+            report.repaired.push(`Clip en la posición ${index}: se asignó el nombre "${clip.name}".`);
+        }
+        if (!isFiniteNumber(clip.id) || seenIds.has(clip.id)) {
+            let newId = Date.now() + index;
+            while (seenIds.has(newId)) newId++;
+            report.repaired.push(`Clip "${clip.name}": id inválido o duplicado, se asignó uno nuevo.`);
+            clip.id = newId;
+        }
+        seenIds.add(clip.id);
+        if (!Array.isArray(clip.frameIds)) {
+            clip.frameIds = [];
+            report.repaired.push(`Clip "${clip.name}": la lista de frames no era válida; se vació.`);
+        }
+        const originalCount = clip.frameIds.length;
+        // Duraciones por frame (ms, { hold: n } o null = la del FPS), paralelas a frameIds
+        const hasDurations = Array.isArray(clip.frameDurations) && clip.frameDurations.length === originalCount;
+        if (clip.frameDurations !== undefined && !hasDurations) {
+            delete clip.frameDurations;
+            report.repaired.push(`Clip "${clip.name}": las duraciones no coincidían con los frames; se descartaron.`);
+        }
+        const hasEvents = Array.isArray(clip.frameEvents) && clip.frameEvents.length === originalCount;
+        if (clip.frameEvents !== undefined && !hasEvents) {
+            delete clip.frameEvents;
+            report.repaired.push(`Clip "${clip.name}": los eventos no coincidían con los frames; se descartaron.`);
+        }
+        // Los ids de sub-frame son cadenas cuyo prefijo (antes de "_") es el id del frame padre.
+        const entries = clip.frameIds
+            .map((id, i) => ({ id: String(id), duration: hasDurations ? clip.frameDurations[i] : null, events: hasEvents ? clip.frameEvents[i] : null }))
+            .filter(entry => frameIds.has(entry.id.split('_')[0]));
+        clip.frameIds = entries.map(entry => entry.id);
+        if (hasDurations) clip.frameDurations = entries.map(entry => isValidFrameDuration(entry.duration) ? entry.duration : null);
+        if (hasEvents) {
+            let invalidEvents = 0;
+            clip.frameEvents = entries.map(entry => {
+                if (!Array.isArray(entry.events)) {
+                    if (entry.events !== null) invalidEvents++;
+                    return null;
+                }
+                const valid = entry.events.filter(isValidFrameEvent);
+                invalidEvents += entry.events.length - valid.length;
+                return valid.length > 0 ? valid : null;
+            });
+            if (invalidEvents > 0) report.repaired.push(`Clip "${clip.name}": se quitaron ${invalidEvents} eventos sin un nombre válido.`);
+            if (clip.frameEvents.every(events => events === null)) delete clip.frameEvents;
+        }
+        const dropped = originalCount - clip.frameIds.length;
+        if (dropped > 0) report.repaired.push(`Clip "${clip.name}": se quitaron ${dropped} referencias a frames inexistentes.`);
+        if (clip.direction !== undefined && !CLIP_DIRECTIONS.includes(clip.direction)) {
+            report.repaired.push(`Clip "${clip.name}": sentido de reproducción desconocido "${clip.direction}", se usará "forward".`);
+            delete clip.direction;
+        }
+        if (clip.once !== undefined && typeof clip.once !== 'boolean') {
+            report.repaired.push(`Clip "${clip.name}": el valor de "una vez" no era válido; se reproducirá en bucle.`);
+            delete clip.once;
+        }
+        if (clip.loopStart !== undefined && !(Number.isInteger(clip.loopStart) && clip.loopStart >= 0 && clip.loopStart < clip.frameIds.length)) {
+            report.repaired.push(`Clip "${clip.name}": inicio de bucle fuera del clip, el bucle empezará en el primer frame.`);
+            delete clip.loopStart;
+        }
+        return true;
+    });
+
+    if (!state.clips.some(c => c.id === state.activeClipId)) {
+        const fallback = state.clips[0]?.id ?? null;
+        if (state.activeClipId !== null && state.activeClipId !== undefined) {
+            report.repaired.push('El clip activo no existía; se seleccionó otro.');
+        }
+        state.activeClipId = fallback;
+    }
+}
+
+/**
+ * Valida los offsets: valores numéricos y referencias a frames existentes
+ * @param {Object} state
+ * @param {SchemaReport} report
+ */
+function validateOffsets(state, report) {
+    if (!isPlainObject(state.subFrameOffsets)) {
+        state.subFrameOffsets = {};
+        report.repaired.push('Los offsets no eran un objeto; se vaciaron.');
+        return;
+    }
+    const frameIds = new Set(state.frames.map(f => String(f.id)));
+    const valid = {};
+    let dropped = 0;
+    Object.entries(state.subFrameOffsets).forEach(([id, offset]) => {
+        if (isPlainObject(offset) && isFiniteNumber(offset.x) && isFiniteNumber(offset.y) && frameIds.has(id.split('_')[0])) {
+            valid[id] = { x: offset.x, y: offset.y };
+        } else {
+            dropped++;
+        }
+    });
+    if (dropped > 0) report.repaired.push(`Se eliminaron ${dropped} offsets inválidos o huérfanos.`);
+    state.subFrameOffsets = valid;
+}
+
+/**
+ * Valida la pila de ajustes de imagen: tipos conocidos, ids únicos y parámetros completos.
+ * Un reempaquetado sin sus datos de colocación no se puede recalcular y se descarta.
+ * @param {Object} state
+ * @param {SchemaReport} report
+ */
+function validateAdjustments(state, report) {
+    if (!Array.isArray(state.adjustments)) {
+        state.adjustments = [];
+        report.repaired.push('La pila de ajustes no era una lista; se vació.');
+        return;
+    }
+    const usedIds = new Set();
+    let nextId = Math.max(0, ...state.adjustments.map(step => isFiniteNumber(step?.id) ? step.id : 0)) + 1;
+    state.adjustments = state.adjustments.filter((step, index) => {
+        if (!isPlainObject(step) || !ADJUSTMENT_TYPES[step.type]) {
+            report.rejected.push(`Ajuste ${index + 1}: tipo desconocido.`);
+            return false;
+        }
+        if (step.type === 'repack') {
+            const p = step.params;
+            if (!isPlainObject(p) || !isFiniteNumber(p.width) || !isFiniteNumber(p.height) || p.width <= 0 || p.height <= 0 ||
+                !Array.isArray(p.placements) || !isPlainObject(p.layoutBefore) ||
+                !p.placements.every(pl => isPlainObject(pl) && isPlainObject(pl.src) && isFiniteNumber(pl.x) && isFiniteNumber(pl.y))) {
+                report.rejected.push(`Ajuste ${index + 1} (reempaquetado): faltan los datos de colocación.`);
+                return false;
+            }
+        } else {
+            const params = isPlainObject(step.params) ? step.params : {};
+            const defaults = ADJUSTMENT_TYPES[step.type].defaults;
+            // Los parámetros que no existían cuando se guardó el paso toman su valor por defecto sin avisar
+            Object.keys(defaults).forEach(key => { if (params[key] === undefined) params[key] = structuredClone(defaults[key]); });
+            const isValidColor = (color) => Array.isArray(color) && color.length === 4 && color.every(isFiniteNumber);
+            const fixed = Object.keys(defaults).filter(key => key === 'colors'
+                ? !Array.isArray(params.colors) || !params.colors.every(isValidColor)
+                : typeof params[key] !== typeof defaults[key]);
+            if (fixed.length > 0) {
+                fixed.forEach(key => { params[key] = structuredClone(defaults[key]); });
+                report.repaired.push(`Ajuste ${index + 1}: se restauraron los parámetros ${fixed.join(', ')}.`);
+            }
+            step.params = params;
+        }
+        if (!isFiniteNumber(step.id) || usedIds.has(step.id)) {
+            step.id = nextId++;
+            report.repaired.push(`Ajuste ${index + 1}: se asignó un id nuevo.`);
+        }
+        usedIds.add(step.id);
+        if (typeof step.enabled !== 'boolean') step.enabled = true;
+        return true;
+    });
+}
+
+/**
+ * Valida las plantillas de exportación: texto de la plantilla obligatorio, ids únicos
+ * y nombre y extensión por defecto si faltan.
+ * @param {Object} state
+ * @param {SchemaReport} report
+ */
+function validateExportTemplates(state, report) {
+    if (!Array.isArray(state.exportTemplates)) {
+        state.exportTemplates = [];
+        report.repaired.push('La lista de plantillas de exportación no era una lista; se vació.');
+        return;
+    }
+    const usedIds = new Set();
+    state.exportTemplates = state.exportTemplates.filter((template, index) => {
+        if (!isPlainObject(template) || typeof template.body !== 'string') {
+            report.rejected.push(`Plantilla ${index + 1}: no tiene texto.`);
+            return false;
+        }
+        if (typeof template.name !== 'string' || template.name.trim() === '') {
+            template.name = `Plantilla ${index + 1}`;
+            report.repaired.push(`Plantilla ${index + 1}: se asignó un nombre por defecto.`);
+        }
+        if (typeof template.extension !== 'string' || !/^[\w.-]+$/.test(template.extension)) template.extension = 'txt';
+        if (typeof template.id !== 'string' || template.id === '' || usedIds.has(template.id)) {
+            template.id = `t${Date.now().toString(36)}_${index}`;
+            report.repaired.push(`Plantilla "${template.name}": se asignó un id nuevo.`);
+        }
+        usedIds.add(template.id);
+        return true;
+    });
+}
+
+/**
+ * Migra y valida un estado de proyecto antes de cargarlo en AppState.
+ * Trabaja sobre una copia: el objeto recibido no se modifica.
+ * @param {Object} rawState - Estado tal como se leyó (sesión, historial, archivo .sss...)
+ * @returns {{state: Object, report: SchemaReport}}
+ * @throws {Error} Si el estado no es un objeto o es de una versión no soportada
+ */
+export function prepareProjectState(rawState) {
+    if (!isPlainObject(rawState)) throw new Error('El estado del proyecto no es válido.');
+
+    const report = {
+        fromVersion: isFiniteNumber(rawState.schemaVersion) ? rawState.schemaVersion : 0,
+        migrations: [],
+        repaired: [],
+        rejected: []
+    };
+    // Copia profunda solo de los datos del proyecto; el resto (imagen, historial) se pasa tal cual.
+    let state = { ...rawState };
+    ['frames', 'clips', 'subFrameOffsets', 'adjustments', 'exportTemplates'].forEach(key => {
+        if (state[key] !== undefined) state[key] = JSON.parse(JSON.stringify(state[key]));
+    });
+
+    state = migrateProjectState(state, report);
+    if (typeof state.fileName !== 'string' || state.fileName === '') {
+        state.fileName = 'spritesheet.png';
+        report.repaired.push('Se asignó un nombre de archivo por defecto.');
+    }
+    validateFrames(state, report);
+    validateClips(state, report);
+    validateOffsets(state, report);
+    validateAdjustments(state, report);
+    validateExportTemplates(state, report);
+    // El guid de Unity es opcional; si falta o no es válido se generará otro al exportar
+    if (state.unityGuid !== undefined && state.unityGuid !== null && !isUnityGuid(state.unityGuid)) {
+        report.repaired.push('El guid de Unity no era válido; se descartó.');
+    }
+    state.unityGuid = isUnityGuid(state.unityGuid) ? state.unityGuid : null;
+    return { state, report };
+}
+
+/**
+ * Resume un informe en una línea por problema (para consola o diálogos)
+ * @param {SchemaReport} report
+ * @returns {string[]}
+ */
+export function describeSchemaReport(report) {
+    return [
+        ...report.repaired.map(msg => `Reparado: ${msg}`),
+        ...report.rejected.map(msg => `Descartado: ${msg}`)
+    ];
+}
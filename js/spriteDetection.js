@@ -1433,7 +1433,7 @@ function calculateSpriteSheetDimensions(packedFrames, config) {
  * @param {number} n
  * @returns {number}
  */
-function nextPowerOfTwo(n) {
+export function nextPowerOfTwo(n) {
     return Math.pow(2, Math.ceil(Math.log2(n)));
 }
 
@@ -1479,15 +1479,27 @@ function generateSpriteSheetMetadata(packedFrames, dimensions, config) {
     };
 }
 
+/**
+ * Formatos de imagen de la exportación avanzada
+ * @type {Object<string, {mimeType: string, extension: string, alpha: boolean}>}
+ */
+export const EXPORT_IMAGE_FORMATS = {
+    png: { mimeType: 'image/png', extension: 'png', alpha: true },
+    webp: { mimeType: 'image/webp', extension: 'webp', alpha: true },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg', alpha: false }
+};
+
 /**
  * Sistema avanzado de exportación de sprites
- * @param {Array} frames - Sprites a exportar
- * @param {Object} config - Configuración de exportación
+ * @param {Array} frames - Sprites a exportar ({ id, name, rect, offset, clip? })
+ * @param {Object} config - Configuración de exportación. `image` es la imagen de la que se
+ *   copian los píxeles; `quality` puede ser un número o un objeto por formato ({ webp: 0.9 })
  * @returns {Promise<Object>} Resultados de la exportación
  */
-function exportSpritesAdvanced(frames, config) {
+export function exportSpritesAdvanced(frames, config) {
     return new Promise(async (resolve, reject) => {
         try {
+            if (!config.image) throw new Error('Falta la imagen de origen de los frames');
             const exportConfig = {
                 formats: config.formats || ['png'],
                 quality: config.quality || 0.9,
@@ -1496,6 +1508,7 @@ function exportSpritesAdvanced(frames, config) {
                 generateMetadata: config.generateMetadata !== false,
                 outputPath: config.outputPath || './exported_sprites',
                 namingPattern: config.namingPattern || '{name}_{index}',
+                background: config.background || '#ffffff',
                 enableProgressCallback: config.enableProgressCallback || false,
                 progressCallback: config.progressCallback || null,
                 ...config
@@ -1525,14 +1538,6 @@ function exportSpritesAdvanced(frames, config) {
             for (let i = 0; i < batches.length; i++) {
                 const batch = batches[i];
 
-                if (exportConfig.enableProgressCallback && exportConfig.progressCallback) {
-                    exportConfig.progressCallback({
-                        current: i + 1,
-                        total: batches.length,
-                        percentage: ((i + 1) / batches.length) * 100
-                    });
-                }
-
                 try {
                     const batchResults = await processExportBatch(batch, exportConfig);
                     results.exported.push(...batchResults.exported);
@@ -1543,17 +1548,26 @@ function exportSpritesAdvanced(frames, config) {
                     console.warn(`Error procesando lote ${i + 1}:`, error);
                     // Continuar con el siguiente lote
                 }
-            }
 
-            // Generar metadatos si está habilitado
-            if (exportConfig.generateMetadata) {
-                results.metadata = generateExportMetadata(frames, results, exportConfig);
+                // El progreso se informa al terminar cada lote
+                if (exportConfig.enableProgressCallback && exportConfig.progressCallback) {
+                    exportConfig.progressCallback({
+                        current: i + 1,
+                        total: batches.length,
+                        percentage: ((i + 1) / batches.length) * 100
+                    });
+                }
             }
 
             // Calcular estadísticas finales
             results.stats.exportTime = Date.now() - startTime;
             results.stats.totalSize = results.exported.reduce((sum, item) => sum + (item.size || 0), 0);
 
+            // Generar metadatos si está habilitado
+            if (exportConfig.generateMetadata) {
+                results.metadata = generateExportMetadata(preparedFrames, results, exportConfig);
+            }
+
             resolve(results);
 
         } catch (error) {
@@ -1563,19 +1577,25 @@ function exportSpritesAdvanced(frames, config) {
 }
 
 /**
- * Prepara los frames para la exportación
+ * Prepara los frames para la exportación. El índice es la posición dentro del clip si el
+ * frame lo trae (clipIndex) y los nombres repetidos reciben un sufijo para no pisarse.
  * @param {Array} frames
  * @param {Object} config
  * @returns {Array}
  */
 function prepareFramesForExport(frames, config) {
+    const usedNames = new Map();
     return frames.map((frame, index) => {
-        const exportName = generateExportName(frame, index, config.namingPattern);
+        const exportIndex = frame.clipIndex ?? index;
+        let exportName = generateExportName(frame, exportIndex, config.namingPattern);
+        const count = usedNames.get(exportName) || 0;
+        usedNames.set(exportName, count + 1);
+        if (count > 0) exportName = `${exportName}_${count + 1}`;
 
         return {
             ...frame,
             exportName,
-            exportIndex: index,
+            exportIndex,
             prepared: true,
             exportFormats: config.formats
         };
@@ -1586,15 +1606,17 @@ function prepareFramesForExport(frames, config) {
  * Genera nombre de exportación basado en patrón
  * @param {Object} frame
  * @param {number} index
- * @param {string} pattern
+ * @param {string} pattern - Admite {name}, {index}, {id}, {type} y {clip}
  * @returns {string}
  */
 function generateExportName(frame, index, pattern) {
     return pattern
-        .replace('{name}', frame.name || 'sprite')
-        .replace('{index}', index.toString().padStart(3, '0'))
-        .replace('{id}', frame.id || index)
-        .replace('{type}', frame.type || 'simple');
+        .replace(/\{name\}/g, frame.name || 'sprite')
+        .replace(/\{index\}/g, index.toString().padStart(3, '0'))
+        .replace(/\{id\}/g, frame.id ?? index)
+        .replace(/\{type\}/g, frame.type || 'simple')
+        .replace(/\{clip\}/g, frame.clip || 'frames')
+        .replace(/[\\/:*?"<>|]/g, '_');
 }
 
 /**
@@ -1622,16 +1644,9 @@ function processExportBatch(batch, config) {
         const results = { exported: [], failed: [] };
 
         for (const frame of batch) {
-            try {
-                const frameResults = await exportFrameInFormats(frame, config);
-                results.exported.push(...frameResults);
-            } catch (error) {
-                console.warn(`Error exportando frame ${frame.exportName}:`, error);
-                results.failed.push({
-                    frame: frame.exportName,
-                    error: error.message
-                });
-            }
+            const frameResults = await exportFrameInFormats(frame, config);
+            results.exported.push(...frameResults.exported);
+            results.failed.push(...frameResults.failed);
         }
 
         resolve(results);
@@ -1642,18 +1657,23 @@ function processExportBatch(batch, config) {
  * Exporta un frame en múltiples formatos
  * @param {Object} frame
  * @param {Object} config
- * @returns {Promise<Array>}
+ * @returns {Promise<{exported: Array, failed: Array}>}
  */
 function exportFrameInFormats(frame, config) {
     return new Promise(async (resolve) => {
-        const results = [];
+        const results = { exported: [], failed: [] };
 
         for (const format of frame.exportFormats) {
             try {
                 const result = await exportFrameToFormat(frame, format, config);
-                results.push(result);
+                results.exported.push(result);
             } catch (error) {
                 console.warn(`Error exportando ${frame.exportName} a ${format}:`, error);
+                results.failed.push({
+                    frame: frame.exportName,
+                    format,
+                    error: error.message
+                });
             }
         }
 
@@ -1662,27 +1682,34 @@ function exportFrameInFormats(frame, config) {
 }
 
 /**
- * Exporta un frame a un formato específico
+ * Exporta un frame a un formato específico copiando sus píxeles de la imagen de origen
  * @param {Object} frame
- * @param {string} format
+ * @param {string} format - Clave de EXPORT_IMAGE_FORMATS
  * @param {Object} config
  * @returns {Promise<Object>}
  */
 function exportFrameToFormat(frame, format, config) {
     return new Promise((resolve, reject) => {
         try {
+            const formatInfo = EXPORT_IMAGE_FORMATS[format];
+            if (!formatInfo) throw new Error(`Formato desconocido: ${format}`);
+
             // Crear canvas temporal para el frame
             const canvas = document.createElement('canvas');
             const ctx = canvas.getContext('2d');
+            const { x, y, w, h } = frame.rect;
+            canvas.width = w;
+            canvas.height = h;
+            ctx.imageSmoothingEnabled = false;
+
+            // Los formatos sin transparencia necesitan un fondo; si no, quedaría negro
+            if (!formatInfo.alpha) {
+                ctx.fillStyle = config.background;
+                ctx.fillRect(0, 0, w, h);
+            }
+            ctx.drawImage(config.image, x, y, w, h, 0, 0, w, h);
 
-            // Aquí iría la lógica para extraer el frame de la imagen original
-            // Por ahora, creamos un placeholder
-            canvas.width = frame.rect.w;
-            canvas.height = frame.rect.h;
-
-            // Simular extracción del frame (en implementación real, copiar desde imagen fuente)
-            ctx.fillStyle = `hsl(${Math.random() * 360}, 70%, 50%)`;
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            const quality = typeof config.quality === 'object' ? config.quality[format] : config.quality;
 
             // Convertir a blob según el formato
             canvas.toBlob((blob) => {
@@ -1690,9 +1717,15 @@ function exportFrameToFormat(frame, format, config) {
                     reject(new Error(`Error convirtiendo frame a ${format}`));
                     return;
                 }
+                // Si el navegador no sabe codificar el formato, toBlob devuelve un PNG
+                if (blob.type !== formatInfo.mimeType) {
+                    reject(new Error(`El navegador no puede codificar ${format}`));
+                    return;
+                }
 
                 const result = {
-                    name: `${frame.exportName}.${format}`,
+                    name: `${frame.exportName}.${formatInfo.extension}`,
+                    exportName: frame.exportName,
                     format,
                     size: blob.size,
                     data: blob,
@@ -1702,7 +1735,7 @@ function exportFrameToFormat(frame, format, config) {
                 };
 
                 resolve(result);
-            }, `image/${format}`, config.quality);
+            }, formatInfo.mimeType, quality);
 
         } catch (error) {
             reject(error);
@@ -1712,12 +1745,12 @@ function exportFrameToFormat(frame, format, config) {
 
 /**
  * Genera metadatos de la exportación
- * @param {Array} originalFrames
+ * @param {Array} preparedFrames - Frames con su exportName
  * @param {Object} results
  * @param {Object} config
  * @returns {Object}
  */
-function generateExportMetadata(originalFrames, results, config) {
+function generateExportMetadata(preparedFrames, results, config) {
     const formatStats = {};
     results.exported.forEach(item => {
         if (!formatStats[item.format]) {
@@ -1733,18 +1766,23 @@ function generateExportMetadata(originalFrames, results, config) {
         exportConfig: {
             formats: config.formats,
             quality: config.quality,
+            namingPattern: config.namingPattern,
             batchSize: config.batchSize,
             enableCompression: config.enableCompression
         },
         stats: results.stats,
         formatStats,
-        frames: originalFrames.map(frame => ({
+        frames: preparedFrames.map(frame => ({
             id: frame.id,
             name: frame.name,
+            clip: frame.clip ?? null,
+            index: frame.exportIndex,
             originalRect: frame.rect,
-            exportedFormats: config.formats,
-            exportName: generateExportName(frame, originalFrames.indexOf(frame), config.namingPattern)
+            offset: frame.offset,
+            exportName: frame.exportName,
+            files: results.exported.filter(item => item.exportName === frame.exportName).map(item => item.name)
         })),
+        failed: results.failed,
         exportPath: config.outputPath
     };
 }